@@ -0,0 +1,89 @@
+/**
+ * Stool - CSV Stream
+ * Runs a "job" over a CSV file one chunk at a time, so large files are never
+ * held in memory as a whole. The same code runs inside a Web Worker (see
+ * review-remapper-worker.js) or, where workers are unavailable, on the page.
+ * This file has no DOM access. Requires PapaParse to be loaded first.
+ *
+ * A job is an object with three functions:
+ *   start(header, params, log)  -> state. If state.outputHeader is set, an output CSV is streamed.
+ *   rows(rows, state, log)      -> output rows for this chunk (or nothing).
+ *   finish(state, log)          -> the job's result; must be structured-cloneable.
+ *
+ * Progress is reported through post(message), where message is one of:
+ *   {type: 'progress', fraction, rows}, {type: 'log', message, isError},
+ *   {type: 'chunk', csv}, {type: 'done', result} or {type: 'error', message}.
+ */
+
+const STREAM_CHUNK_SIZE = 1024 * 1024; // 1 MB per chunk keeps the progress bar moving on large files
+
+/**
+ * Streams a CSV file through a job.
+ * @param {Object} job - See the description above.
+ * @param {File} file - The CSV file; its first row is the header.
+ * @param {Object} params - Passed to job.start.
+ * @param {function(Object): void} post - Receives every progress message.
+ * @returns {{abort: function(): void}} Stops parsing after the current chunk.
+ */
+function streamCsvJob(job, file, params, post) {
+    const log = (message, isError = false) => post({ type: 'log', message, isError });
+    let parser = null;
+    let stopped = false;
+    let state = null;
+    let rowCount = 0;
+
+    const fail = (error) => {
+        stopped = true;
+        if (parser) parser.abort();
+        post({ type: 'error', message: error.message });
+    };
+
+    // Starts the job on the file's header and writes the output's header first
+    const startJob = (header) => {
+        state = job.start(header, params, log);
+        if (state.outputHeader) post({ type: 'chunk', csv: Papa.unparse([state.outputHeader]) });
+    };
+
+    Papa.parse(file, {
+        skipEmptyLines: true,
+        dynamicTyping: false,
+        chunkSize: STREAM_CHUNK_SIZE,
+        chunk: (results, chunkParser) => {
+            parser = chunkParser;
+            if (stopped) {
+                chunkParser.abort();
+                return;
+            }
+            try {
+                let rows = results.data;
+                if (!state) {
+                    startJob(rows[0] || []);
+                    rows = rows.slice(1);
+                }
+                const output = job.rows(rows, state, log);
+                if (output && output.length > 0) post({ type: 'chunk', csv: `\r\n${Papa.unparse(output)}` });
+                rowCount += rows.length;
+                post({ type: 'progress', fraction: file.size ? Math.min(results.meta.cursor / file.size, 1) : 1, rows: rowCount });
+            } catch (error) {
+                fail(error);
+            }
+        },
+        complete: () => {
+            if (stopped) return;
+            try {
+                if (!state) startJob([]); // Empty file: the output still gets its header
+                post({ type: 'done', result: job.finish(state, log) });
+            } catch (error) {
+                fail(error);
+            }
+        },
+        error: (error) => fail(error),
+    });
+
+    return {
+        abort() {
+            stopped = true;
+            if (parser) parser.abort();
+        },
+    };
+}
@@ -0,0 +1,451 @@
+/**
+ * Stool - CSV Tool Framework
+ * Shared plumbing for the file-based tools: drop zones, CSV file and column detection,
+ * PapaParse loading with progress, background (worker) jobs, structured logging
+ * and download links.
+ * A single-file tool only has to supply its transform function (see createSingleFileTool).
+ * Requires PapaParse to be loaded first.
+ */
+const CsvTool = (() => {
+
+    const CSV_EXTENSIONS = ['.csv', '.tsv', '.txt'];
+    const CSV_MIME_TYPES = [
+        'text/csv', 'text/x-csv', 'application/csv', 'application/x-csv',
+        'text/comma-separated-values', 'text/tab-separated-values',
+        'application/vnd.ms-excel', 'text/plain',
+    ];
+
+    /**
+     * Accepts a file if either its extension or its MIME type looks like CSV.
+     * Browsers report CSVs inconsistently (Windows with Excel installed reports
+     * application/vnd.ms-excel, some systems report nothing at all).
+     */
+    function isCsvFile(file) {
+        if (!file) return false;
+        const name = file.name.toLowerCase();
+        return CSV_EXTENSIONS.some(extension => name.endsWith(extension)) || CSV_MIME_TYPES.includes(file.type);
+    }
+
+    /**
+     * Sets up both the standard file input and drag-and-drop functionality for a zone.
+     * @param {Object} zone - {input, dropZone, prompt, fileName} elements.
+     * @param {function(File): void} onFile - Called with each valid CSV file chosen or dropped.
+     */
+    function setupDropZone(zone, onFile) {
+        const { input, dropZone } = zone;
+        const accept = (file) => {
+            if (!isCsvFile(file)) {
+                alert('Invalid file type. Please select a CSV file.');
+                return;
+            }
+            showFileName(zone, file.name);
+            onFile(file);
+        };
+
+        input.addEventListener('change', (e) => {
+            if (e.target.files.length) accept(e.target.files[0]);
+        });
+        ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
+            dropZone.addEventListener(eventName, (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+            }, false);
+        });
+        ['dragenter', 'dragover'].forEach(eventName => {
+            dropZone.addEventListener(eventName, () => dropZone.classList.add('drop-zone--over'), false);
+        });
+        ['dragleave', 'drop'].forEach(eventName => {
+            dropZone.addEventListener(eventName, () => dropZone.classList.remove('drop-zone--over'), false);
+        });
+        dropZone.addEventListener('drop', (e) => {
+            if (e.dataTransfer.files.length) {
+                input.files = e.dataTransfer.files;
+                accept(e.dataTransfer.files[0]);
+            }
+        }, false);
+    }
+
+    function showFileName(zone, text) {
+        zone.prompt.classList.add('hidden');
+        zone.fileName.classList.remove('hidden');
+        zone.fileName.textContent = text;
+    }
+
+    /**
+     * Returns a drop zone to its empty state so the same file can be chosen again.
+     */
+    function resetDropZone(zone) {
+        zone.input.value = '';
+        zone.prompt.classList.remove('hidden');
+        zone.fileName.classList.add('hidden');
+        zone.fileName.textContent = '';
+    }
+
+    /**
+     * Normalizes a header for comparison: case, whitespace and punctuation are ignored.
+     */
+    function normalizeHeader(header) {
+        return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Finds the first header matching one of the candidate names.
+     * @param {string[]} header - The header row of the file.
+     * @param {string[]} candidates - Accepted names, in order of preference.
+     * @returns {number} The column index, or -1 if nothing matches.
+     */
+    function detectColumn(header, candidates) {
+        const normalized = header.map(normalizeHeader);
+        for (const candidate of candidates) {
+            const index = normalized.indexOf(normalizeHeader(candidate));
+            if (index !== -1) return index;
+        }
+        return -1;
+    }
+
+    /**
+     * Parses a CSV file in chunks, reporting progress as it goes.
+     * @param {File} file - The file to parse.
+     * @param {Object} [options] - PapaParse options (header, etc.) plus onProgress(fraction).
+     * @returns {Promise<{data: Array, meta: Object, errors: Array}>}
+     */
+    function parseCsv(file, options = {}) {
+        const { onProgress, ...papaOptions } = options;
+        return new Promise((resolve, reject) => {
+            const data = [];
+            const errors = [];
+            let meta = null;
+            Papa.parse(file, {
+                skipEmptyLines: true,
+                dynamicTyping: false,
+                ...papaOptions,
+                chunk: (results) => {
+                    for (const row of results.data) data.push(row);
+                    errors.push(...results.errors);
+                    meta = meta || results.meta;
+                    if (onProgress && file.size) onProgress(Math.min(results.meta.cursor / file.size, 1));
+                },
+                complete: () => resolve({ data, errors, meta: meta || { fields: [] } }),
+                error: (error) => reject(error),
+            });
+        });
+    }
+
+    /**
+     * Runs a csv-stream.js job over a file in a Web Worker, collecting any output
+     * CSV into a Blob as it streams in. If the worker cannot be started (pages
+     * opened from file:// in some browsers), the job runs on the page instead;
+     * this needs csv-stream.js and the job's scripts to be loaded on the page.
+     * @param {Object} config
+     * @param {string} config.workerUrl - Worker script that passes {job, file, params} to streamCsvJob.
+     * @param {Object} config.jobs - The same jobs the worker knows, by name, for the fallback.
+     * @param {string} config.job - Name of the job to run.
+     * @param {File} config.file - The CSV file.
+     * @param {Object} [config.params] - Structured-cloneable job parameters.
+     * @param {function(Object): void} [config.onProgress] - Called with {fraction, rows}.
+     * @param {function(string, boolean): void} [config.onLog] - Called with the job's log lines.
+     * @returns {{promise: Promise<{result: *, blob: ?Blob}>, cancel: function(): void}}
+     *   cancel() stops the job and rejects the promise with an error whose `cancelled` is true.
+     */
+    function runJob(config) {
+        const { workerUrl, jobs, job, file, params = {}, onProgress, onLog } = config;
+        const parts = [];
+        let worker = null;
+        let inline = null;
+        let received = false;
+        let settle = null;
+
+        const promise = new Promise((resolve, reject) => {
+            settle = (error, value) => {
+                if (!settle) return;
+                settle = null;
+                if (worker) worker.terminate();
+                if (inline) inline.abort();
+                if (error) reject(error);
+                else resolve(value);
+            };
+        });
+
+        const handleMessage = (message) => {
+            received = true;
+            switch (message.type) {
+                case 'progress':
+                    if (onProgress) onProgress(message);
+                    break;
+                case 'log':
+                    if (onLog) onLog(message.message, message.isError);
+                    break;
+                case 'chunk':
+                    parts.push(message.csv);
+                    break;
+                case 'done':
+                    if (settle) settle(null, {
+                        result: message.result,
+                        blob: parts.length > 0 ? new Blob(parts, { type: 'text/csv;charset=utf-8;' }) : null,
+                    });
+                    break;
+                case 'error':
+                    if (settle) settle(new Error(message.message));
+                    break;
+            }
+        };
+        const runInline = () => {
+            worker = null;
+            inline = streamCsvJob(jobs[job], file, params, handleMessage);
+        };
+
+        try {
+            worker = new Worker(workerUrl);
+            worker.onmessage = (event) => handleMessage(event.data);
+            worker.onerror = (event) => {
+                event.preventDefault();
+                if (!settle) return;
+                if (received) {
+                    settle(new Error(event.message || 'The background worker failed.'));
+                } else {
+                    worker.terminate(); // Failed to load (e.g. file://); start over on the page
+                    runInline();
+                }
+            };
+            worker.postMessage({ job, file, params });
+        } catch (e) {
+            runInline();
+        }
+
+        return {
+            promise,
+            cancel: () => {
+                if (!settle) return;
+                const error = new Error('Cancelled by user.');
+                error.cancelled = true;
+                settle(error);
+            },
+        };
+    }
+
+    /**
+     * Creates a logger that writes timestamped lines to a textarea and keeps every
+     * entry ({time, level, message}) for later inspection.
+     * logger.log(message, isError) matches the signature the tools have always used.
+     * @param {HTMLTextAreaElement} output - The log textarea.
+     */
+    function createLogger(output) {
+        const entries = [];
+        function write(level, message) {
+            const time = new Date();
+            entries.push({ time, level, message });
+            output.value += `[${time.toLocaleTimeString()}] ${message}\n`;
+            output.scrollTop = output.scrollHeight;
+            if (level === 'error') console.error(message);
+            else if (level === 'warn') console.warn(message);
+        }
+        return {
+            entries,
+            log: (message, isError = false) => write(isError ? 'error' : 'info', message),
+            info: (message) => write('info', message),
+            warn: (message) => write('warn', message),
+            error: (message) => write('error', message),
+            clear: () => {
+                entries.length = 0;
+                output.value = '';
+            },
+        };
+    }
+
+    /**
+     * Manages the object URLs behind download links, revoking each one once it
+     * is replaced so repeated runs don't leak whole files in memory.
+     * @param {HTMLAnchorElement} link - The tool's main download link.
+     */
+    function createDownloadManager(link) {
+        let currentUrl = null;
+        return {
+            /** Points the main link at a CSV built from rows (arrays or objects). */
+            setCsv(data) {
+                this.setBlob(new Blob([Papa.unparse(data)], { type: 'text/csv;charset=utf-8;' }));
+            },
+            /** Points the main link at an already-built Blob. */
+            setBlob(blob) {
+                this.revoke();
+                currentUrl = URL.createObjectURL(blob);
+                link.href = currentUrl;
+            },
+            revoke() {
+                if (currentUrl) URL.revokeObjectURL(currentUrl);
+                currentUrl = null;
+                link.removeAttribute('href');
+            },
+            /** Downloads a one-off CSV (e.g. a report) without touching the main link. */
+            downloadCsv,
+        };
+    }
+
+    /**
+     * Downloads a one-off CSV built from rows (arrays or objects), e.g. a report.
+     */
+    function downloadCsv(data, fileName) {
+        downloadText(Papa.unparse(data), fileName, 'text/csv;charset=utf-8;');
+    }
+
+    /**
+     * Downloads text as a file, e.g. a JSON export.
+     * @param {string} type - The MIME type, e.g. 'application/json'.
+     */
+    function downloadText(text, fileName, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const tempLink = document.createElement('a');
+        tempLink.href = url;
+        tempLink.download = fileName;
+        tempLink.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Keeps a download link's file name in sync with a text input, forcing a .csv extension.
+     */
+    function bindFileNameInput(input, link) {
+        input.addEventListener('input', () => {
+            const fileName = input.value.trim();
+            link.download = fileName.endsWith('.csv') ? fileName : `${fileName}.csv`;
+        });
+    }
+
+    /**
+     * Renders rows into a <table>, treating the first row as the header.
+     */
+    function renderTable(table, rows) {
+        table.innerHTML = '';
+        const [header, ...body] = rows;
+        const headRow = table.createTHead().insertRow();
+        header.forEach(cell => {
+            const th = document.createElement('th');
+            th.textContent = cell;
+            headRow.appendChild(th);
+        });
+        const tbody = table.createTBody();
+        body.forEach(row => {
+            const tr = tbody.insertRow();
+            row.forEach(cell => { tr.insertCell().textContent = cell ?? ''; });
+        });
+    }
+
+    /**
+     * Appends a summary card to a .stat-grid container.
+     */
+    function renderStatCard(container, label, value) {
+        const card = document.createElement('div');
+        card.className = 'stat-card';
+        [[value, 'stat-value'], [label, 'stat-label']].forEach(([text, className]) => {
+            const span = document.createElement('span');
+            span.className = className;
+            span.textContent = text;
+            card.appendChild(span);
+        });
+        container.appendChild(card);
+    }
+
+    /**
+     * Wires up a standard single-file tool page. The page must use the usual element IDs
+     * (csvFileInput, fileDropZone, filePrompt, fileName, processBtn, startOverBtn,
+     * logContainer, logOutput, downloadArea, downloadLink, downloadFileName, and optionally controls).
+     * @param {Object} config
+     * @param {Object} [config.parseOptions] - PapaParse options for the upload.
+     * @param {function(Object, Object): void} [config.onLoad] - Called with the parse results and the tool once a file is loaded.
+     * @param {function(Object, Object): Array} config.transform - Receives the parse results and the tool, returns the output rows.
+     * @param {function(): void} [config.onReset] - Called by Start Over.
+     * @returns {Object} The tool: {elements, logger, downloads, results}.
+     */
+    function createSingleFileTool(config) {
+        const byId = (id) => document.getElementById(id);
+        const elements = {
+            processBtn: byId('processBtn'),
+            startOverBtn: byId('startOverBtn'),
+            controls: byId('controls'),
+            logContainer: byId('logContainer'),
+            logOutput: byId('logOutput'),
+            downloadArea: byId('downloadArea'),
+            downloadLink: byId('downloadLink'),
+            downloadFileName: byId('downloadFileName'),
+        };
+        const zone = { input: byId('csvFileInput'), dropZone: byId('fileDropZone'), prompt: byId('filePrompt'), fileName: byId('fileName') };
+        const logger = createLogger(elements.logOutput);
+        const downloads = createDownloadManager(elements.downloadLink);
+        const tool = { elements, zone, logger, downloads, results: null };
+
+        bindFileNameInput(elements.downloadFileName, elements.downloadLink);
+
+        setupDropZone(zone, async (file) => {
+            tool.results = null;
+            logger.clear();
+            elements.logContainer.classList.remove('hidden');
+            if (elements.controls) elements.controls.classList.remove('hidden');
+            elements.processBtn.disabled = true;
+            logger.log(`Parsing ${file.name}...`);
+            try {
+                tool.results = await parseCsv(file, {
+                    ...config.parseOptions,
+                    onProgress: (fraction) => showFileName(zone, `${file.name} (${Math.round(fraction * 100)}%)`),
+                });
+                showFileName(zone, file.name);
+                logger.log(`✅ Loaded ${tool.results.data.length} rows.`);
+                if (config.onLoad) config.onLoad(tool.results, tool);
+                elements.processBtn.disabled = false;
+            } catch (error) {
+                logger.log(`CSV Parsing Error: ${error.message}`, true);
+            }
+        });
+
+        elements.processBtn.addEventListener('click', () => {
+            if (!tool.results) {
+                logger.log("Error: No file data to process.", true);
+                return;
+            }
+            logger.log("\n--- Starting Process ---");
+            elements.processBtn.disabled = true;
+            elements.downloadArea.classList.add('hidden');
+            try {
+                downloads.setCsv(config.transform(tool.results, tool));
+                elements.downloadArea.classList.remove('hidden');
+                elements.processBtn.classList.add('hidden');
+                logger.log("\n--- PROCESS COMPLETE ---");
+                logger.log("✅ Output file is ready for download.");
+            } catch (error) {
+                logger.log(`❌ CRITICAL ERROR: ${error.message}`, true);
+                elements.processBtn.disabled = false; // Re-enable on error
+            }
+        });
+
+        elements.startOverBtn.addEventListener('click', () => {
+            tool.results = null;
+            resetDropZone(zone);
+            logger.clear();
+            downloads.revoke();
+            if (elements.controls) elements.controls.classList.add('hidden');
+            elements.processBtn.disabled = true;
+            elements.processBtn.classList.remove('hidden');
+            elements.logContainer.classList.add('hidden');
+            elements.downloadArea.classList.add('hidden');
+            if (config.onReset) config.onReset();
+        });
+
+        return tool;
+    }
+
+    return {
+        isCsvFile,
+        setupDropZone,
+        resetDropZone,
+        normalizeHeader,
+        detectColumn,
+        parseCsv,
+        runJob,
+        createLogger,
+        createDownloadManager,
+        downloadCsv,
+        downloadText,
+        bindFileNameInput,
+        renderTable,
+        renderStatCard,
+        createSingleFileTool,
+    };
+})();
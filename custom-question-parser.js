@@ -1,218 +1,265 @@
-/**
- * Stool - Custom Question Parser
- * This script unnests JSON data from a "Review Custom Questions" column in a CSV,
- * creates new columns for each unique question, and provides a downloadable result.
- */
-
-// --- 1. ELEMENT REFERENCES ---
-const csvFileInput = document.getElementById('csvFileInput');
-const fileNameSpan = document.getElementById('fileName');
-const fileDropZone = document.getElementById('fileDropZone');
-const filePrompt = document.getElementById('filePrompt');
-const processBtn = document.getElementById('processBtn');
-const startOverBtn = document.getElementById('startOverBtn');
-const controls = document.getElementById('controls');
-const logContainer = document.getElementById('logContainer');
-const logOutput = document.getElementById('logOutput');
-const downloadArea = document.getElementById('downloadArea');
-const downloadLink = document.getElementById('downloadLink');
-const downloadFileNameInput = document.getElementById('downloadFileName');
-
-// --- 2. GLOBAL STATE ---
-let parsedData = null; // Will hold the array of objects from PapaParse
-const TARGET_COLUMN_NAME = "Review Custom Questions";
-
-// --- 3. EVENT LISTENERS & SETUP ---
-processBtn.addEventListener('click', processFile);
-startOverBtn.addEventListener('click', startOver);
-downloadFileNameInput.addEventListener('input', () => {
-    const fileName = downloadFileNameInput.value.trim();
-    downloadLink.download = fileName.endsWith('.csv') ? fileName : `${fileName}.csv`;
-});
-
-setupFileInput(csvFileInput, fileDropZone);
-
-// --- 4. CORE FUNCTIONS ---
-
-/**
- * Main function to orchestrate the data transformation process.
- */
-function processFile() {
-    if (!parsedData) {
-        logToScreen("Error: No file data to process.", true);
-        return;
-    }
-
-    logToScreen("\n--- Starting Process ---");
-    processBtn.disabled = true;
-    downloadArea.classList.add('hidden');
-
-    try {
-        // Step 1: Check if the target column exists. PapaParse gives us headers as keys.
-        const originalHeader = Object.keys(parsedData[0]);
-        if (!originalHeader.includes(TARGET_COLUMN_NAME)) {
-            throw new Error(`Column "${TARGET_COLUMN_NAME}" not found in the uploaded file.`);
-        }
-        logToScreen(`Found target column "${TARGET_COLUMN_NAME}".`);
-
-        // Step 2: First pass through data to find all unique custom question keys.
-        const uniqueCFHeaders = new Set();
-        parsedData.forEach(row => {
-            const cfCellData = row[TARGET_COLUMN_NAME];
-            if (cfCellData) {
-                try {
-                    const parsedJson = JSON.parse(cfCellData);
-                    if (typeof parsedJson === 'object' && parsedJson !== null) {
-                        Object.keys(parsedJson).forEach(key => uniqueCFHeaders.add(key));
-                    }
-                } catch (e) { /* Ignore invalid JSON */ }
-            }
-        });
-
-        if (uniqueCFHeaders.size === 0) {
-            logToScreen("Warning: No valid custom question data was found to expand.", true);
-            // In this case, we'll just let the user download the original file without the target column.
-        } else {
-            logToScreen(`Found ${uniqueCFHeaders.size} unique custom questions to expand.`);
-        }
-        
-        const newColumnHeaders = Array.from(uniqueCFHeaders).sort();
-
-        // Step 3: Build the new expanded data set
-        const finalData = parsedData.map(row => {
-            const newRow = { ...row }; // Copy the original row object
-            const cfCellData = newRow[TARGET_COLUMN_NAME];
-            let parsedJson = {};
-
-            if (cfCellData) {
-                try {
-                    parsedJson = JSON.parse(cfCellData);
-                } catch (e) { parsedJson = {}; }
-            }
-
-            // Add the new columns with their corresponding answers
-            newColumnHeaders.forEach(header => {
-                newRow[header] = (parsedJson && parsedJson[header]) ? parsedJson[header] : '';
-            });
-
-            // Delete the original custom questions column
-            delete newRow[TARGET_COLUMN_NAME];
-            return newRow;
-        });
-
-        // Step 4: Generate download link
-        generateDownloadableFile(finalData);
-        logToScreen("\n--- PROCESS COMPLETE ---");
-        logToScreen("✅ Output file is ready for download.");
-
-    } catch (error) {
-        logToScreen(`❌ CRITICAL ERROR: ${error.message}`, true);
-        processBtn.disabled = false; // Re-enable on error
-    }
-}
-
-/**
- * Generates the final CSV file and makes it available for download.
- * @param {Array<Object>} data - The final array of data objects.
- */
-function generateDownloadableFile(data) {
-    const csvString = Papa.unparse(data);
-    const blob = new Blob([csvString], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    
-    downloadLink.href = url;
-    downloadArea.classList.remove('hidden');
-    processBtn.classList.add('hidden');
-}
-
-
-// --- 5. UI & UTILITY FUNCTIONS ---
-
-/**
- * Sets up both the standard file input and drag-and-drop functionality for a zone.
- */
-function setupFileInput(inputElement, dropZoneElement) {
-    inputElement.addEventListener('change', (e) => {
-        if (e.target.files.length) handleFile(e.target.files[0]);
-    });
-    ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
-        dropZoneElement.addEventListener(eventName, (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-        }, false);
-    });
-    ['dragenter', 'dragover'].forEach(eventName => {
-        dropZoneElement.addEventListener(eventName, () => dropZoneElement.classList.add('drop-zone--over'), false);
-    });
-    ['dragleave', 'drop'].forEach(eventName => {
-        dropZoneElement.addEventListener(eventName, () => dropZoneElement.classList.remove('drop-zone--over'), false);
-    });
-    dropZoneElement.addEventListener('drop', (e) => {
-        if (e.dataTransfer.files.length) {
-            inputElement.files = e.dataTransfer.files;
-            handleFile(e.dataTransfer.files[0]);
-        }
-    }, false);
-}
-
-/**
- * Resets the entire interface to its initial state.
- */
-function startOver() {
-    parsedData = null;
-    originalHeader = null;
-    csvFileInput.value = '';
-    
-    filePrompt.classList.remove('hidden');
-    fileNameSpan.classList.add('hidden');
-    fileNameSpan.textContent = '';
-    
-    logOutput.value = '';
-    controls.classList.add('hidden');
-    processBtn.disabled = true;
-    processBtn.classList.remove('hidden');
-    
-    logContainer.classList.add('hidden');
-    downloadArea.classList.add('hidden');
-}
-
-/**
- * Processes a single file and triggers parsing with headers.
- */
-function handleFile(file) {
-    if (!file || !file.type.match('text/csv')) {
-        return alert('Invalid file type. Please select a CSV file.');
-    }
-
-    filePrompt.classList.add('hidden');
-    fileNameSpan.classList.remove('hidden');
-    fileNameSpan.textContent = file.name;
-    
-    logOutput.value = '';
-    logContainer.classList.remove('hidden');
-    controls.classList.remove('hidden');
-    logToScreen(`Parsing ${file.name}...`);
-
-    Papa.parse(file, {
-        header: true, // IMPORTANT: Parse with headers to easily find the column
-        skipEmptyLines: true,
-        dynamicTyping: false,
-        complete: (results) => {
-            parsedData = results.data;
-            originalHeader = results.meta.fields;
-            logToScreen(`✅ Loaded ${parsedData.length} rows.`);
-            processBtn.disabled = false;
-        },
-        error: (error) => logToScreen(`CSV Parsing Error: ${error.message}`, true),
-    });
-}
-
-/**
- * Appends a timestamped message to the log area.
- */
-function logToScreen(message, isError = false) {
-    const timestamp = new Date().toLocaleTimeString();
-    logOutput.value += `[${timestamp}] ${message}\n`;
-    if (isError) console.error(message);
-    logOutput.scrollTop = logOutput.scrollHeight;
-}
\ No newline at end of file
+/**
+ * Stool - Custom Question Parser
+ * This script unnests JSON data from a custom questions column in a CSV,
+ * creates new columns for each unique question, and provides a downloadable result.
+ * Multi-select and nested answers are flattened as configured (see custom-questions.js).
+ * In fold mode it does the reverse, nesting chosen columns back into one JSON column.
+ * Cells that are not valid JSON are listed in a validation report and, optionally, repaired.
+ * The output can also be checked against the review import format (import-validator.js).
+ */
+
+// --- 1. CONFIGURATION ---
+// JSON column names used by the different exports, in order of preference.
+const SOURCE_COLUMN_CANDIDATES = [
+    'Review Custom Questions', 'Product Custom Questions', 'Question Custom Questions',
+    'Order Custom Fields', 'Custom Questions', 'Custom Fields',
+];
+const ID_COLUMN_CANDIDATES = ['Review ID', 'Question ID', 'Order ID', 'ID'];
+const MAX_REPORT_ROWS_SHOWN = 200;
+const modeSelect = document.getElementById('modeSelect');
+const columnArea = document.getElementById('columnArea');
+const expandOptions = document.getElementById('expandOptions');
+const foldOptions = document.getElementById('foldOptions');
+const sourceColumnSelect = document.getElementById('sourceColumnSelect');
+const foldColumnsList = document.getElementById('foldColumnsList');
+const outputColumnNameInput = document.getElementById('outputColumnName');
+const arrayModeSelect = document.getElementById('arrayModeSelect');
+const arrayDelimiterInput = document.getElementById('arrayDelimiter');
+const objectModeSelect = document.getElementById('objectModeSelect');
+const repairJsonCheckbox = document.getElementById('repairJson');
+const validationArea = document.getElementById('validationArea');
+const validationTable = document.getElementById('validationTable');
+const downloadValidationBtn = document.getElementById('downloadValidationBtn');
+const validateImportCheckbox = document.getElementById('validateImport');
+const importValidationArea = document.getElementById('importValidationArea');
+const importValidationSummary = document.getElementById('importValidationSummary');
+const importValidationTable = document.getElementById('importValidationTable');
+const downloadImportValidationBtn = document.getElementById('downloadImportValidationBtn');
+
+let lastValidationIssues = [];
+let lastImportValidation = null;
+
+// --- 2. SETUP ---
+// File handling, logging, processing and download are provided by csv-tool.js.
+const tool = CsvTool.createSingleFileTool({
+    parseOptions: { header: true }, // IMPORTANT: Parse with headers to easily find the column
+    onLoad: populateColumnOptions,
+    transform: processFile,
+    onReset: () => {
+        lastValidationIssues = [];
+        lastImportValidation = null;
+        validationArea.classList.add('hidden');
+        importValidationArea.classList.add('hidden');
+        columnArea.classList.add('hidden');
+        sourceColumnSelect.innerHTML = '';
+        foldColumnsList.innerHTML = '';
+    },
+});
+const logToScreen = tool.logger.log;
+
+modeSelect.addEventListener('change', showModeOptions);
+downloadValidationBtn.addEventListener('click', () => {
+    tool.downloads.downloadCsv(validationReportRows(lastValidationIssues), 'custom_questions_validation.csv');
+});
+downloadImportValidationBtn.addEventListener('click', () => {
+    tool.downloads.downloadCsv(importReportRows(lastImportValidation), 'import_validation.csv');
+});
+showModeOptions();
+
+// --- 3. CORE FUNCTIONS ---
+
+/**
+ * Reads the flattening options from the UI.
+ * @returns {Object} Options for flattenAnswers.
+ */
+function readFlattenOptions() {
+    return {
+        arrays: arrayModeSelect.value,
+        arrayDelimiter: arrayDelimiterInput.value,
+        objects: objectModeSelect.value,
+    };
+}
+
+/**
+ * Transforms the parsed file in the selected mode.
+ * @param {{data: Object[], meta: Object}} results - The parsed CSV (rows keyed by header).
+ * @returns {Object[]} The output rows.
+ */
+function processFile(results) {
+    validationArea.classList.add('hidden');
+    importValidationArea.classList.add('hidden');
+    const finalData = modeSelect.value === 'fold' ? foldColumns(results) : expandColumn(results);
+    if (validateImportCheckbox.checked) validateOutput(finalData);
+    return finalData;
+}
+
+/**
+ * Checks the output rows against the review import format and shows the findings.
+ * @param {Object[]} rows - The output rows (keyed by header).
+ */
+function validateOutput(rows) {
+    const header = rows.length > 0 ? Object.keys(rows[0]) : [];
+    lastImportValidation = validateImportRows(header, rows.map(row => header.map(field => row[field])));
+    logImportValidation(lastImportValidation, logToScreen);
+
+    importValidationSummary.innerHTML = '';
+    [
+        ['Rows with Problems', lastImportValidation.invalidRowCount],
+        ['Problems', lastImportValidation.issueCount],
+        ['Missing Columns', lastImportValidation.missingColumns.length],
+    ].forEach(([label, value]) => CsvTool.renderStatCard(importValidationSummary, label, value));
+    CsvTool.renderTable(importValidationTable, importColumnSummaryRows(lastImportValidation));
+    importValidationArea.classList.remove('hidden');
+}
+
+/**
+ * Expands the chosen JSON column into one column per question.
+ * @param {{data: Object[], meta: Object}} results - The parsed CSV (rows keyed by header).
+ * @returns {Object[]} The expanded rows.
+ */
+function expandColumn({ data: parsedData, meta }) {
+    // Step 1: Check the chosen column exists. PapaParse gives us headers as keys.
+    const sourceColumn = sourceColumnSelect.value;
+    if (!sourceColumn || !meta.fields.includes(sourceColumn)) {
+        throw new Error('Choose the JSON column to expand under "JSON Column".');
+    }
+    logToScreen(`Expanding column "${sourceColumn}".`);
+
+    // Step 2: Parse every cell once, then find all the columns the answers flatten into.
+    const options = readFlattenOptions();
+    const idField = meta.fields[CsvTool.detectColumn(meta.fields, ID_COLUMN_CANDIDATES)];
+    const issues = [];
+    const parsedCells = parsedData.map((row, i) => {
+        const parsed = parseAnswersCell(row[sourceColumn], { repair: repairJsonCheckbox.checked });
+        const issue = describeCellIssue(parsed, i + 2, idField ? row[idField] : ''); // +2: header row and 1-based numbering
+        if (issue) issues.push(issue);
+        return parsed;
+    });
+    const answerList = parsedCells.map(parsed => parsed.answers);
+    const layout = collectAnswerColumns(answerList, options);
+    const invalidCount = renderValidationReport(issues);
+
+    if (layout.columns.length === 0) {
+        logToScreen("Warning: No valid custom question data was found to expand.", true);
+        // In this case, we'll just let the user download the original file without the target column.
+    } else {
+        logToScreen(`Found ${layout.columns.length} custom question columns to add (arrays: ${options.arrays}, nested objects: ${options.objects}).`);
+    }
+
+    // Step 3: Build the new expanded data set
+    const finalData = parsedData.map((row, i) => {
+        const newRow = { ...row }; // Copy the original row object
+        const cells = answerCells(answerList[i], layout, options);
+
+        // Add the new columns with their corresponding answers
+        layout.columns.forEach((header, j) => {
+            newRow[header] = cells[j];
+        });
+
+        // Flag rows whose data could not be read, rather than silently blanking them
+        if (invalidCount > 0) newRow[INVALID_ANSWERS_COLUMN] = parsedCells[i].error || '';
+
+        // Delete the original custom questions column
+        delete newRow[sourceColumn];
+        return newRow;
+    });
+
+    return finalData;
+}
+
+/**
+ * Folds the checked columns back into a single JSON column, appended after the remaining columns.
+ * @param {{data: Object[], meta: Object}} results - The parsed CSV (rows keyed by header).
+ * @returns {Object[]} The folded rows.
+ */
+function foldColumns({ data: parsedData, meta }) {
+    const foldedColumns = Array.from(foldColumnsList.querySelectorAll('input[type="checkbox"]:checked')).map(checkbox => checkbox.value);
+    const outputColumn = outputColumnNameInput.value.trim();
+    if (foldedColumns.length === 0) {
+        throw new Error('Check at least one column under "Columns to Fold".');
+    }
+    if (!outputColumn) {
+        throw new Error('Enter a name for the JSON column.');
+    }
+    const keptColumns = meta.fields.filter(field => !foldedColumns.includes(field));
+    if (keptColumns.includes(outputColumn)) {
+        throw new Error(`The file already has a column named "${outputColumn}". Fold it too or choose another name.`);
+    }
+
+    const options = readFlattenOptions();
+    let answeredRows = 0;
+    const finalData = parsedData.map(row => {
+        const cells = {};
+        foldedColumns.forEach(column => { cells[column] = row[column]; });
+        const answers = nestAnswers(cells, options);
+
+        const newRow = {};
+        keptColumns.forEach(column => { newRow[column] = row[column]; });
+        const hasAnswers = Object.keys(answers).length > 0;
+        newRow[outputColumn] = hasAnswers ? JSON.stringify(answers) : '';
+        if (hasAnswers) answeredRows++;
+        return newRow;
+    });
+
+    logToScreen(`Folded ${foldedColumns.length} columns into "${outputColumn}" (${answeredRows} of ${parsedData.length} rows have answers).`);
+    return finalData;
+}
+
+// --- 4. UI FUNCTIONS ---
+
+/**
+ * Logs and shows the cells that failed to parse or were repaired.
+ * @param {Object[]} issues - From describeCellIssue.
+ * @returns {number} How many cells are still invalid.
+ */
+function renderValidationReport(issues) {
+    lastValidationIssues = issues;
+    const invalidCount = issues.filter(issue => issue.status === 'Invalid').length;
+    const repairedCount = issues.length - invalidCount;
+    if (repairedCount > 0) logToScreen(`Repaired ${repairedCount} cells that were not valid JSON.`);
+    if (invalidCount > 0) {
+        logToScreen(`Warning: ${invalidCount} cells are not valid JSON. They are flagged in the "${INVALID_ANSWERS_COLUMN}" column and listed in the validation report.`, true);
+    }
+    if (issues.length === 0) return 0;
+
+    CsvTool.renderTable(validationTable, validationReportRows(issues.slice(0, MAX_REPORT_ROWS_SHOWN)));
+    if (issues.length > MAX_REPORT_ROWS_SHOWN) {
+        logToScreen(`Validation report shows the first ${MAX_REPORT_ROWS_SHOWN} of ${issues.length} cells; download it for the full list.`);
+    }
+    validationArea.classList.remove('hidden');
+    return invalidCount;
+}
+
+/**
+ * Fills the JSON column picker and the fold checklist from the loaded file's headers.
+ */
+function populateColumnOptions({ meta }) {
+    const fields = meta.fields || [];
+    sourceColumnSelect.innerHTML = '';
+    sourceColumnSelect.add(new Option('-- Select column --', ''));
+    fields.forEach(field => sourceColumnSelect.add(new Option(field, field)));
+    const detected = CsvTool.detectColumn(fields, SOURCE_COLUMN_CANDIDATES);
+    sourceColumnSelect.value = detected === -1 ? '' : fields[detected];
+    if (detected === -1 && modeSelect.value === 'expand') {
+        logToScreen('Warning: Could not detect a custom questions column. Please select it manually.', true);
+    } else if (detected !== -1) {
+        logToScreen(`Detected JSON column "${fields[detected]}".`);
+    }
+
+    foldColumnsList.innerHTML = '';
+    fields.forEach(field => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = field;
+        label.append(checkbox, ` ${field}`);
+        foldColumnsList.appendChild(label);
+    });
+    columnArea.classList.remove('hidden');
+}
+
+function showModeOptions() {
+    const folding = modeSelect.value === 'fold';
+    expandOptions.classList.toggle('hidden', folding);
+    foldOptions.classList.toggle('hidden', !folding);
+}
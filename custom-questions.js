@@ -0,0 +1,303 @@
+/**
+ * Stool - Custom Questions
+ * Parses custom questions JSON cells (optionally repairing common breakage), turns
+ * the answers into flat CSV columns, and folds flat columns back into a JSON cell.
+ * Multi-select (array) answers can be joined into one cell or split into one-hot
+ * columns, nested objects can be split into dotted-path columns, and 0/false
+ * answers are kept as written.
+ * This file has no DOM access.
+ */
+
+/**
+ * Default options for flattenAnswers.
+ */
+const DEFAULT_FLATTEN_OPTIONS = {
+    arrays: 'join',        // 'join': one cell, items joined with arrayDelimiter | 'one-hot': one column per option
+    arrayDelimiter: ', ',
+    objects: 'dotted',     // 'dotted': one column per nested path, e.g. "Size.Waist" | 'json': keep the object as JSON text
+};
+
+// Cell values that mark a one-hot option as selected when folding columns back.
+const ONE_HOT_SELECTED = ['1', 'true', 'yes', 'x'];
+
+/**
+ * Repairs parseAnswersCell can try on a cell that is not valid JSON. Combinations are
+ * tried smallest first, so a cell is changed no more than it needs to be.
+ */
+const JSON_REPAIRS = [
+    { name: 'doubled quotes', fix: 'doubledQuotes' },   // {""Fit"":""ok""} left over from CSV escaping
+    { name: 'single quotes', fix: 'singleQuotes' },     // {'Fit': 'ok'}
+    { name: 'Python literals', fix: 'pythonLiterals' }, // True / False / None
+    { name: 'trailing commas', fix: 'trailingCommas' }, // {"Fit": "ok",}
+];
+
+const PYTHON_LITERALS = { True: 'true', False: 'false', None: 'null' };
+
+// Added to the output when some cells still fail to parse, holding each row's parse error.
+const INVALID_ANSWERS_COLUMN = 'Custom Questions Error';
+
+const VALIDATION_REPORT_HEADER = ['Row', 'Review ID', 'Status', 'Details'];
+
+/**
+ * Converts a single answer to cell text. Only null and undefined become empty;
+ * 0 and false are written out, and objects are written as JSON.
+ */
+function formatAnswer(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Names the one-hot column for one option of a multi-select question.
+ */
+function oneHotColumnName(question, option) {
+    return `${question} [${formatAnswer(option)}]`;
+}
+
+/**
+ * Flattens one row's answers into columns.
+ * @param {Object} answers - The parsed JSON object from a custom questions cell.
+ * @param {Object} [options] - See DEFAULT_FLATTEN_OPTIONS.
+ * @returns {{values: Object, oneHotColumns: Object, oneHotQuestions: string[]}}
+ *   values maps column -> cell text (selected one-hot options are "1").
+ *   oneHotColumns maps each one-hot column to its question, and oneHotQuestions lists the
+ *   multi-select questions this row answered, so the caller can write "0" for unselected options.
+ */
+function flattenAnswers(answers, options = {}) {
+    const config = { ...DEFAULT_FLATTEN_OPTIONS, ...options };
+    const result = { values: {}, oneHotColumns: {}, oneHotQuestions: [] };
+
+    const visit = (value, path) => {
+        if (Array.isArray(value)) {
+            if (config.arrays === 'one-hot') {
+                result.oneHotQuestions.push(path);
+                value.forEach(option => {
+                    const column = oneHotColumnName(path, option);
+                    result.values[column] = '1';
+                    result.oneHotColumns[column] = path;
+                });
+            } else {
+                result.values[path] = value.map(formatAnswer).join(config.arrayDelimiter);
+            }
+        } else if (value !== null && typeof value === 'object' && config.objects === 'dotted') {
+            Object.keys(value).forEach(key => visit(value[key], `${path}.${key}`));
+        } else {
+            result.values[path] = formatAnswer(value);
+        }
+    };
+    Object.keys(answers).forEach(question => visit(answers[question], question));
+    return result;
+}
+
+/**
+ * Collects every column flattenAnswers produces across many rows.
+ * @param {Object[]} answerList - Parsed answers, one object per row.
+ * @param {Object} [options] - See DEFAULT_FLATTEN_OPTIONS.
+ * @returns {{columns: string[], oneHotColumns: Object}} Columns sorted alphabetically, and
+ *   the question behind every one-hot column.
+ */
+function collectAnswerColumns(answerList, options = {}) {
+    const columns = new Set();
+    const oneHotColumns = {};
+    answerList.forEach(answers => {
+        const flattened = flattenAnswers(answers, options);
+        Object.keys(flattened.values).forEach(column => columns.add(column));
+        Object.assign(oneHotColumns, flattened.oneHotColumns);
+    });
+    return { columns: Array.from(columns).sort(), oneHotColumns };
+}
+
+/**
+ * Builds the cells for one row in the order of collectAnswerColumns' columns.
+ * One-hot options of an answered multi-select question that were not selected get "0";
+ * everything the row did not answer is left empty.
+ * @param {Object} answers - The row's parsed answers.
+ * @param {{columns: string[], oneHotColumns: Object}} layout - From collectAnswerColumns.
+ * @param {Object} [options] - See DEFAULT_FLATTEN_OPTIONS.
+ * @returns {string[]} One cell per column.
+ */
+function answerCells(answers, layout, options = {}) {
+    const { values, oneHotQuestions } = flattenAnswers(answers, options);
+    return layout.columns.map(column => {
+        if (column in values) return values[column];
+        const question = layout.oneHotColumns[column];
+        return question !== undefined && oneHotQuestions.includes(question) ? '0' : '';
+    });
+}
+
+/**
+ * The reverse of flattenAnswers: folds flat columns back into one answers object.
+ * With the same options the columns were flattened with, "Question [Option]" one-hot
+ * columns become arrays of the selected options and dotted paths become nested objects.
+ * Empty cells are left out; other answers are kept as text, since a CSV cell can't
+ * tell "5" from 5 (objects written as JSON text are parsed back).
+ * @param {Object} cells - Column -> cell text for the columns being folded.
+ * @param {Object} [options] - See DEFAULT_FLATTEN_OPTIONS.
+ * @returns {Object} The answers, ready for JSON.stringify.
+ */
+function nestAnswers(cells, options = {}) {
+    const config = { ...DEFAULT_FLATTEN_OPTIONS, ...options };
+    const answers = {};
+
+    // Walks (and creates) the objects along a dotted path, returning the parent and last key.
+    const locate = (column) => {
+        const keys = config.objects === 'dotted' ? column.split('.') : [column];
+        let parent = answers;
+        keys.slice(0, -1).forEach(key => {
+            if (typeof parent[key] !== 'object' || parent[key] === null || Array.isArray(parent[key])) parent[key] = {};
+            parent = parent[key];
+        });
+        return { parent, key: keys[keys.length - 1] };
+    };
+
+    Object.keys(cells).forEach(column => {
+        const cell = cells[column];
+        if (cell === null || cell === undefined || cell === '') return; // Not answered
+        const oneHot = config.arrays === 'one-hot' && column.match(/^(.*) \[(.*)\]$/);
+        if (oneHot) {
+            const { parent, key } = locate(oneHot[1]);
+            if (!Array.isArray(parent[key])) parent[key] = [];
+            if (ONE_HOT_SELECTED.includes(cell.trim().toLowerCase())) parent[key].push(oneHot[2]);
+        } else {
+            const { parent, key } = locate(column);
+            parent[key] = config.objects === 'json' ? parseObjectCell(cell) : cell;
+        }
+    });
+    return answers;
+}
+
+/**
+ * Parses a cell holding a JSON object (as written with objects: 'json'); anything else stays text.
+ */
+function parseObjectCell(cell) {
+    if (!/^\s*\{/.test(cell)) return cell;
+    try {
+        return JSON.parse(cell);
+    } catch (e) {
+        return cell;
+    }
+}
+
+/**
+ * Parses one custom questions cell.
+ * @param {string} text - The cell text.
+ * @param {Object} [options]
+ * @param {boolean} [options.repair] - Try JSON_REPAIRS when the cell is not valid JSON.
+ * @returns {{answers: Object, error: ?string, repairs: string[]}} answers is empty when
+ *   the cell is empty or could not be parsed; error says why parsing failed; repairs
+ *   names the repairs that made the cell parse.
+ */
+function parseAnswersCell(text, options = {}) {
+    if (text === null || text === undefined || String(text).trim() === '') {
+        return { answers: {}, error: null, repairs: [] };
+    }
+    const attempt = (candidate) => {
+        const parsed = JSON.parse(candidate);
+        if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+            throw new Error(`Expected a JSON object, got ${Array.isArray(parsed) ? 'an array' : (parsed === null ? 'null' : typeof parsed)}`);
+        }
+        return parsed;
+    };
+
+    let firstError;
+    try {
+        return { answers: attempt(String(text)), error: null, repairs: [] };
+    } catch (e) {
+        firstError = e.message;
+    }
+    if (options.repair) {
+        for (const combination of repairCombinations()) {
+            try {
+                const fixes = {};
+                combination.forEach(repair => { fixes[repair.fix] = true; });
+                return { answers: attempt(repairJsonText(String(text), fixes)), error: null, repairs: combination.map(repair => repair.name) };
+            } catch (e) {
+                // Try the next combination
+            }
+        }
+    }
+    return { answers: {}, error: firstError, repairs: [] };
+}
+
+/**
+ * Every non-empty combination of JSON_REPAIRS, smallest first.
+ */
+function repairCombinations() {
+    const combinations = [];
+    for (let mask = 1; mask < (1 << JSON_REPAIRS.length); mask++) {
+        combinations.push(JSON_REPAIRS.filter((_, i) => mask & (1 << i)));
+    }
+    return combinations.sort((a, b) => a.length - b.length);
+}
+
+/**
+ * Applies the chosen fixes to JSON-like text. Everything except doubled quotes is
+ * applied outside string literals only, so answers containing quotes, commas or
+ * the word "True" are left alone.
+ * @param {string} text - The cell text.
+ * @param {Object} fixes - {doubledQuotes, singleQuotes, pythonLiterals, trailingCommas} flags.
+ * @returns {string} The rewritten text.
+ */
+function repairJsonText(text, fixes) {
+    let source = text.trim();
+    if (fixes.doubledQuotes) {
+        source = source.replace(/^"([\s\S]*)"$/, '$1').replace(/""/g, '"');
+    }
+
+    let output = '';
+    let i = 0;
+    while (i < source.length) {
+        const char = source[i];
+        if (char === '"' || (char === "'" && fixes.singleQuotes)) {
+            // Copy a string literal, rewriting a single-quoted one with double quotes.
+            let body = '';
+            let j = i + 1;
+            while (j < source.length && source[j] !== char) {
+                if (source[j] === '\\' && j + 1 < source.length) {
+                    body += (char === "'" && source[j + 1] === "'") ? "'" : source.slice(j, j + 2);
+                    j += 2;
+                } else {
+                    body += (char === "'" && source[j] === '"') ? '\\"' : source[j];
+                    j++;
+                }
+            }
+            output += `"${body}"`;
+            i = j + 1;
+            continue;
+        }
+        if (fixes.trailingCommas && char === ',' && /^\s*[}\]]/.test(source.slice(i + 1))) {
+            i++;
+            continue;
+        }
+        const literal = fixes.pythonLiterals && !/\w/.test(source[i - 1] || '') && source.slice(i).match(/^(True|False|None)\b/);
+        if (literal) {
+            output += PYTHON_LITERALS[literal[1]];
+            i += literal[1].length;
+            continue;
+        }
+        output += char;
+        i++;
+    }
+    return output;
+}
+
+/**
+ * Describes a cell that failed to parse or needed repairs, for the validation report.
+ * @param {Object} parsed - The result of parseAnswersCell.
+ * @param {number} row - The 1-based row number in the file (counting the header).
+ * @param {string} reviewId - The row's review ID, if the file has one.
+ * @returns {?{row: number, reviewId: string, status: string, detail: string}} Null for a clean cell.
+ */
+function describeCellIssue(parsed, row, reviewId) {
+    if (parsed.error) return { row, reviewId: reviewId || '', status: 'Invalid', detail: parsed.error };
+    if (parsed.repairs.length > 0) return { row, reviewId: reviewId || '', status: 'Repaired', detail: `Fixed ${parsed.repairs.join(', ')}` };
+    return null;
+}
+
+/**
+ * Turns describeCellIssue results into report rows, header first.
+ */
+function validationReportRows(issues) {
+    return [VALIDATION_REPORT_HEADER, ...issues.map(issue => [issue.row, issue.reviewId, issue.status, issue.detail])];
+}
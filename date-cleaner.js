@@ -1,94 +1,231 @@
-// --- 1. ELEMENT REFERENCES ---
-const inputText = document.getElementById('inputText');
-const outputText = document.getElementById('outputText');
-const cleanBtn = document.getElementById('cleanBtn');
-const copyBtn = document.getElementById('copyBtn');
-const clearBtn = document.getElementById('clearBtn');
-
-// --- 2. EVENT LISTENERS ---
-cleanBtn.addEventListener('click', cleanDates);
-copyBtn.addEventListener('click', copyToClipboard);
-clearBtn.addEventListener('click', clearFields);
-
-// --- 3. CORE FUNCTIONS ---
-
-const monthMap = {
-    jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
-    jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12'
-};
-
-/**
- * Converts a month name (e.g., "September" or "Sep") to its number.
- * @param {string} monthName - The name of the month.
- * @returns {string|null} The two-digit month number or null.
- */
-function getMonthNumber(monthName) {
-    if (!monthName) return null;
-    const shortMonth = monthName.substring(0, 3).toLowerCase();
-    return monthMap[shortMonth] || null;
-}
-
-/**
- * Parses a single date string using Regex to preserve the exact date.
- * @param {string} dateString - The raw date string.
- * @returns {string} The formatted date or an error message.
- */
-function formatSingleDate(dateString) {
-    const trimmedString = dateString.trim();
-    if (trimmedString === '') return '';
-
-    const patterns = [
-        { regex: /(\w+)\s+(\d{1,2}),?\s+(\d{4})/, monthIndex: 1, dayIndex: 2, yearIndex: 3, isMonthName: true },
-        { regex: /(\d{1,2})[-\s](\w+)[-\s](\d{4})/, dayIndex: 1, monthIndex: 2, yearIndex: 3, isMonthName: true },
-        { regex: /(\d{4})[/-](\d{1,2})[/-](\d{1,2})/, yearIndex: 1, monthIndex: 2, dayIndex: 3 },
-        { regex: /(\d{1,2})[/-](\d{1,2})[/-](\d{4})/, monthIndex: 1, dayIndex: 2, yearIndex: 3 }
-    ];
-
-    for (const pattern of patterns) {
-        const match = pattern.regex.exec(trimmedString);
-        if (match) {
-            const year = match[pattern.yearIndex];
-            const day = String(match[pattern.dayIndex]).padStart(2, '0');
-            const month = pattern.isMonthName 
-                ? getMonthNumber(match[pattern.monthIndex]) 
-                : String(match[pattern.monthIndex]).padStart(2, '0');
-            
-            if (year && month && day) return `${year}-${month}-${day}`;
-        }
-    }
-    
-    return `${trimmedString} -> Invalid Format`;
-}
-
-/**
- * Main function to process the entire input text.
- */
-function cleanDates() {
-    const lines = inputText.value.split('\n');
-    const processedLines = lines.map(formatSingleDate);
-    outputText.value = processedLines.join('\n');
-}
-
-/**
- * Copies the result to the user's clipboard.
- */
-async function copyToClipboard() {
-    if (!outputText.value) return;
-    try {
-        await navigator.clipboard.writeText(outputText.value);
-        const originalText = copyBtn.textContent;
-        copyBtn.textContent = 'Copied!';
-        setTimeout(() => { copyBtn.textContent = originalText; }, 1500);
-    } catch (err) {
-        console.error('Failed to copy text: ', err);
-        alert('Failed to copy text.');
-    }
-}
-
-/**
- * Clears both input and output textareas.
- */
-function clearFields() {
-    inputText.value = '';
-    outputText.value = '';
+// --- 1. ELEMENT REFERENCES ---
+const inputText = document.getElementById('inputText');
+const outputText = document.getElementById('outputText');
+const cleanBtn = document.getElementById('cleanBtn');
+const copyBtn = document.getElementById('copyBtn');
+const clearBtn = document.getElementById('clearBtn');
+const dateOrderSelect = document.getElementById('dateOrderSelect');
+const issuesArea = document.getElementById('issuesArea');
+const issuesText = document.getElementById('issuesText');
+const issuesTable = document.getElementById('issuesTable');
+const outputFormatSelect = document.getElementById('outputFormatSelect');
+const customFormatInput = document.getElementById('customFormatInput');
+const formatHelp = document.getElementById('formatHelp');
+const timeZoneInput = document.getElementById('timeZoneInput');
+const timeZoneList = document.getElementById('timeZoneList');
+const modeSelect = document.getElementById('modeSelect');
+const textModeArea = document.getElementById('textModeArea');
+const csvModeArea = document.getElementById('csvModeArea');
+const columnArea = document.getElementById('columnArea');
+const dateColumnsList = document.getElementById('dateColumnsList');
+
+// File handling, logging, processing and download of the CSV mode are provided by csv-tool.js.
+const tool = CsvTool.createSingleFileTool({
+    parseOptions: { header: true },
+    onLoad: populateDateColumns,
+    transform: cleanCsvDates,
+    onReset: () => {
+        columnArea.classList.add('hidden');
+        dateColumnsList.innerHTML = '';
+    },
+});
+const logToScreen = tool.logger.log;
+
+// --- 2. EVENT LISTENERS ---
+cleanBtn.addEventListener('click', cleanDates);
+copyBtn.addEventListener('click', copyToClipboard);
+clearBtn.addEventListener('click', clearFields);
+modeSelect.addEventListener('change', () => {
+    textModeArea.classList.toggle('hidden', modeSelect.value !== 'text');
+    csvModeArea.classList.toggle('hidden', modeSelect.value !== 'csv');
+});
+outputFormatSelect.addEventListener('change', () => {
+    const custom = outputFormatSelect.value === 'custom';
+    customFormatInput.classList.toggle('hidden', !custom);
+    formatHelp.classList.toggle('hidden', !custom);
+});
+
+// --- 3. CORE FUNCTIONS ---
+
+/**
+ * Parses a single date and writes it in the chosen output format.
+ * @param {string} dateString - The raw date string.
+ * @param {Object} settings - From readSettings: order, timeZone, pattern and now.
+ * @returns {string} The formatted date or an error message.
+ */
+function formatSingleDate(dateString, settings) {
+    const trimmedString = dateString.trim();
+    const result = parseDate(trimmedString, settings);
+    if (result.date) return formatDate(result.date, settings.pattern);
+    if (result.error === null) return '';
+    return result.error === 'Unrecognized format'
+        ? `${trimmedString} -> Invalid Format`
+        : `${trimmedString} -> Invalid Date`;
+}
+
+/**
+ * Main function to process the entire input text.
+ */
+function cleanDates() {
+    const lines = inputText.value.split('\n');
+    let settings;
+    try {
+        settings = readSettings(lines);
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+    const processedLines = lines.map(line => formatSingleDate(line, settings));
+    outputText.value = processedLines.join('\n');
+
+    const issues = [];
+    let ambiguousCount = 0;
+    lines.forEach((line, index) => {
+        const result = parseDate(line, settings);
+        if (result.error) {
+            issues.push([index + 1, line.trim(), result.error]);
+        } else if (result.ambiguous) {
+            ambiguousCount++;
+            const { year, month, day } = result.date;
+            issues.push([index + 1, line.trim(), `Ambiguous: read as ${formatIsoDate(result.date)}, could be ${formatIsoDate({ year, month: day, day: month })}`]);
+        }
+    });
+    // The fallback note only matters if some date could be read either way
+    showIssues(issues, settings.order === null && ambiguousCount === 0 ? '' : settings.orderNote);
+}
+
+/**
+ * Reads the format and time zone settings and resolves the order of numeric dates.
+ * @param {string[]} lines - The dates, for auto-detecting the order.
+ * @returns {{order: ?string, orderNote: string, timeZone: string, pattern: string, now: number}}
+ * @throws {Error} If the time zone or custom pattern is invalid.
+ */
+function readSettings(lines) {
+    const timeZone = timeZoneInput.value.trim() || 'UTC';
+    if (!isValidTimeZone(timeZone)) throw new Error(`Unknown time zone "${timeZone}". Use a name like Europe/Berlin or UTC.`);
+    const pattern = outputFormatSelect.value === 'custom' ? customFormatInput.value : DATE_OUTPUT_FORMATS[outputFormatSelect.value].pattern;
+    if (!pattern.trim()) throw new Error('Please enter a custom output pattern.');
+
+    const order = resolveDateOrder(lines);
+    return { order: order.order, orderNote: order.note, timeZone, pattern, now: Date.now() };
+}
+
+/**
+ * Picks the order for numeric dates from the setting, detecting it from the lines if set to auto.
+ * @returns {{order: ?string, note: string}} order is null if auto-detection found nothing to go on.
+ */
+function resolveDateOrder(lines) {
+    if (dateOrderSelect.value !== 'auto') {
+        return { order: dateOrderSelect.value, note: '' };
+    }
+    const detected = detectDayOrder(lines);
+    if (detected === 'DMY') return { order: detected, note: 'Numeric dates were read day first, as detected from the list.' };
+    if (detected === 'MDY') return { order: detected, note: 'Numeric dates were read month first, as detected from the list.' };
+    return { order: null, note: 'No date settled whether numeric dates are month or day first, so they were read month first. Choose the order above if that is wrong.' };
+}
+
+/**
+ * Cleans the checked date columns of the loaded CSV in place. Each column gets its
+ * own day/month order when auto-detecting. Cells that can't be read are left as
+ * they were and explained in the DATE_ERRORS_COLUMN, which a file cleaned before
+ * already has; it is then updated (see mergeDateErrors) even if every date reads.
+ * @param {{data: Object[], meta: Object}} results - The parsed CSV (rows keyed by header).
+ * @returns {Object[]} The cleaned rows.
+ */
+function cleanCsvDates({ data: parsedData, meta }) {
+    const columns = Array.from(dateColumnsList.querySelectorAll('input[type="checkbox"]:checked')).map(checkbox => checkbox.value);
+    if (columns.length === 0) {
+        throw new Error('Check at least one column under "Date Columns".');
+    }
+    const baseSettings = readSettings([]);
+
+    const rowErrors = parsedData.map(() => []);
+    const cleanedData = parsedData.map(row => ({ ...row }));
+    columns.forEach(column => {
+        const values = parsedData.map(row => row[column] ?? '');
+        const order = resolveDateOrder(values);
+        const { values: cleaned, errors, cleanedCount, failedCount, ambiguousCount } = cleanDateValues(values, { ...baseSettings, order: order.order });
+        cleaned.forEach((value, i) => {
+            cleanedData[i][column] = value;
+            if (errors[i]) rowErrors[i].push(`${column}: ${errors[i]}`);
+        });
+
+        logToScreen(`"${column}": ${cleanedCount} dates cleaned, ${failedCount} could not be read.`, failedCount > 0);
+        if (ambiguousCount > 0) {
+            logToScreen(`   ${ambiguousCount} dates in "${column}" could be month or day first and were read month first. Choose the order above if that is wrong.`, true);
+        } else if (order.note && order.order) {
+            logToScreen(`   ${order.note.replace('the list', 'the column')}`);
+        }
+    });
+
+    // Flag rows whose dates could not be read, rather than writing the message into the data
+    if (meta.fields.includes(DATE_ERRORS_COLUMN) || rowErrors.some(errors => errors.length > 0)) {
+        cleanedData.forEach((row, i) => { row[DATE_ERRORS_COLUMN] = mergeDateErrors(row[DATE_ERRORS_COLUMN], columns, rowErrors[i]); });
+    }
+    return cleanedData;
+}
+
+/**
+ * Lists the CSV's columns, checking those that look like dates.
+ */
+function populateDateColumns({ meta }) {
+    dateColumnsList.innerHTML = '';
+    meta.fields.forEach(field => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = field;
+        checkbox.checked = looksLikeDateHeader(field);
+        label.append(checkbox, ` ${field}`);
+        dateColumnsList.appendChild(label);
+    });
+    const detected = meta.fields.filter(looksLikeDateHeader);
+    if (detected.length > 0) {
+        logToScreen(`Detected date columns: ${detected.map(field => `"${field}"`).join(', ')}.`);
+    } else {
+        logToScreen('Warning: Could not detect a date column. Please check the date columns manually.', true);
+    }
+    columnArea.classList.remove('hidden');
+}
+
+function showIssues(issues, note) {
+    issuesTable.innerHTML = '';
+    issuesText.textContent = [note, issues.length > 0 ? `${issues.length} date(s) need checking.` : ''].filter(Boolean).join(' ');
+    if (issues.length > 0) CsvTool.renderTable(issuesTable, [['Line', 'Input', 'Issue'], ...issues]);
+    issuesArea.classList.toggle('hidden', issues.length === 0);
+}
+
+/**
+ * Copies the result to the user's clipboard.
+ */
+async function copyToClipboard() {
+    if (!outputText.value) return;
+    try {
+        await navigator.clipboard.writeText(outputText.value);
+        const originalText = copyBtn.textContent;
+        copyBtn.textContent = 'Copied!';
+        setTimeout(() => { copyBtn.textContent = originalText; }, 1500);
+    } catch (err) {
+        console.error('Failed to copy text: ', err);
+        alert('Failed to copy text.');
+    }
+}
+
+/**
+ * Clears both input and output textareas.
+ */
+function clearFields() {
+    inputText.value = '';
+    outputText.value = '';
+    issuesArea.classList.add('hidden');
+    issuesTable.innerHTML = '';
+}
+
+// --- 4. INITIALIZATION ---
+Object.entries(DATE_ORDERS).forEach(([order, label]) => dateOrderSelect.add(new Option(label, order)));
+Object.entries(DATE_OUTPUT_FORMATS).forEach(([format, { label }]) => outputFormatSelect.add(new Option(label, format)));
+formatHelp.textContent = `Tokens: ${Object.entries(DATE_FORMAT_TOKENS).map(([token, meaning]) => `${token} = ${meaning}`).join('; ')}. Put other letters in [brackets].`;
+timeZoneInput.value = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+if (Intl.supportedValuesOf) {
+    Intl.supportedValuesOf('timeZone').forEach(zone => timeZoneList.appendChild(new Option(zone)));
 }
\ No newline at end of file
@@ -0,0 +1,485 @@
+/**
+ * Stool - Date Parsing
+ * Reads the many ways dates are written in merchant exports: numeric dates in
+ * month-first or day-first order, month names in several languages, times with
+ * AM/PM or an offset, ISO 8601 timestamps, Unix epochs and relative phrases like
+ * "3 days ago". Dates that don't exist in the calendar are rejected, and numeric
+ * dates that could be read either way are flagged unless the order is known.
+ * Parsed dates can be written out in any format (see formatDate).
+ * This file has no DOM access.
+ */
+
+/**
+ * Orders a numeric date like 03/04/2025 can be read in. "auto" decides from the
+ * whole list (see detectDayOrder).
+ */
+const DATE_ORDERS = {
+    auto: 'Auto-detect from all dates',
+    MDY: 'Month first (MM/DD/YYYY, US)',
+    DMY: 'Day first (DD/MM/YYYY, Europe and most other regions)',
+};
+
+// Order used when "auto" finds no date that settles it.
+const FALLBACK_DATE_ORDER = 'MDY';
+
+/**
+ * Month names by language, January first. Accents are ignored when matching and
+ * any unambiguous abbreviation of three or more letters is accepted ("Sept", "févr.", "Mär").
+ */
+const MONTH_NAMES = {
+    en: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'],
+    fr: ['janvier', 'fevrier', 'mars', 'avril', 'mai', 'juin', 'juillet', 'aout', 'septembre', 'octobre', 'novembre', 'decembre'],
+    de: ['januar', 'februar', 'marz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember'],
+    es: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+    it: ['gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno', 'luglio', 'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre'],
+    nl: ['januari', 'februari', 'maart', 'april', 'mei', 'juni', 'juli', 'augustus', 'september', 'oktober', 'november', 'december'],
+    pt: ['janeiro', 'fevereiro', 'marco', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'],
+};
+
+// Spellings the abbreviation rule can't reach, mapped to the month number.
+const MONTH_NAME_ALIASES = { jaenner: 1, janner: 1, maerz: 3 };
+
+// Patterns are tried in order; the first whose month resolves wins.
+const DATE_PATTERNS = [
+    // Sep 26, 2025 / März 26 2025
+    { regex: /(\p{L}+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})/u, monthIndex: 1, dayIndex: 2, yearIndex: 3, isMonthName: true },
+    // 26-September-2025 / 26 Sep 2025 / 26. März 2025 / 26 de septiembre de 2025
+    { regex: /(\d{1,2})\.?(?:[-\s]+(?:de\s+)?)(\p{L}+)\.?(?:[-\s]+(?:de\s+)?)(\d{4})/u, dayIndex: 1, monthIndex: 2, yearIndex: 3, isMonthName: true },
+    // 2025/09/26 / 2025-09-26
+    { regex: /(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})/, yearIndex: 1, monthIndex: 2, dayIndex: 3 },
+    // 03/04/2025 / 03.04.2025: month or day first, depending on the order
+    { regex: /(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/, firstIndex: 1, secondIndex: 2, yearIndex: 3 },
+];
+
+const NUMERIC_DATE = DATE_PATTERNS[DATE_PATTERNS.length - 1].regex;
+
+// A clock time such as 14:30, 2:30:15.250 pm or 14:30:00Z, with an optional offset
+// (Z, UTC, +02, -05:30, or GMT+0200 as printed by Date.prototype.toString).
+const CLOCK_TIME = /(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,9}))?)?(?:\s*([ap])\.?m\.?)?(?:\s*(z|(?:utc|gmt)?\s*[+-]\d{1,2}(?::?\d{2})?|utc|gmt))?(?![\w:])/i;
+// An hour with AM/PM only, such as 3pm.
+const HOUR_TIME = /\b(\d{1,2})\s*([ap])\.?m\.?(?:\s*(z|(?:utc|gmt)?\s*[+-]\d{1,2}(?::?\d{2})?|utc|gmt))?(?!\w)/i;
+
+// Seconds (9-10 digits, 1973-2286) or milliseconds (12-13 digits) since 1970-01-01 UTC.
+// 11 digits would be seconds past 2286 or milliseconds before 1973, so neither is assumed.
+const EPOCH_NUMBER = /^-?(?:\d{9,10}|\d{12,13})$/;
+
+const RELATIVE_UNITS = { second: 1000, minute: 60000, hour: 3600000, day: 86400000, week: 604800000, month: null, year: null };
+const RELATIVE_PHRASE = /^(?:(\d+|an?)\s+(second|minute|hour|day|week|month|year)s?\s+ago|in\s+(\d+|an?)\s+(second|minute|hour|day|week|month|year)s?)$/i;
+const RELATIVE_DAYS = { today: 0, yesterday: -1, tomorrow: 1 };
+
+// Headers that suggest a date column, e.g. "Review Creation Date", "Order Date", "created_at".
+const DATE_HEADER_HINT = /date|time|created|updated|_at$/i;
+// Column added to a cleaned CSV for cells that could not be read.
+const DATE_ERRORS_COLUMN = 'Date Errors';
+
+/**
+ * Whether a header suggests a date column. The errors column is never one, though its name matches.
+ */
+function looksLikeDateHeader(header) {
+    return header !== DATE_ERRORS_COLUMN && DATE_HEADER_HINT.test(header);
+}
+
+/**
+ * Output formats offered for cleaned dates. Patterns use the formatDate tokens;
+ * "custom" takes the user's own pattern.
+ */
+const DATE_OUTPUT_FORMATS = {
+    isoDate: { label: 'ISO date (2025-09-26)', pattern: 'YYYY-MM-DD' },
+    isoDateTime: { label: 'ISO date and time with offset (2025-09-26T14:30:00+02:00)', pattern: 'YYYY-MM-DDTHH:mm:ssZ' },
+    epochSeconds: { label: 'Unix epoch, seconds (1758889800)', pattern: 'X' },
+    epochMillis: { label: 'Unix epoch, milliseconds (1758889800000)', pattern: 'x' },
+    us: { label: 'US date (09/26/2025)', pattern: 'MM/DD/YYYY' },
+    custom: { label: 'Custom pattern…', pattern: null },
+};
+
+/**
+ * Tokens formatDate replaces. Text in [brackets] is copied as is.
+ */
+const DATE_FORMAT_TOKENS = {
+    YYYY: 'Year (2025)', MMMM: 'Month name (September)', MMM: 'Short month name (Sep)', MM: 'Month (09)', M: 'Month (9)',
+    DD: 'Day (06)', D: 'Day (6)', HH: 'Hour, 24h (14)', H: 'Hour, 24h (14, 9)', hh: 'Hour, 12h (02)', h: 'Hour, 12h (2)',
+    mm: 'Minutes', ss: 'Seconds', SSS: 'Milliseconds', A: 'AM/PM', Z: 'Offset (+02:00)', ZZ: 'Offset (+0200)',
+    X: 'Epoch seconds', x: 'Epoch milliseconds',
+};
+const DATE_FORMAT_TOKEN_PATTERN = /\[([^\]]*)\]|YYYY|MMMM|MMM|MM|M|DD|D|HH|H|hh|h|mm|ss|SSS|A|ZZ|Z|X|x/g;
+
+/**
+ * Strips accents, case and trailing dots so "Févr." and "fevr" compare equal.
+ */
+function normalizeMonthName(name) {
+    return name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\.$/, '').toLowerCase();
+}
+
+/**
+ * Converts a month name in any of the MONTH_NAMES languages to its number.
+ * @param {string} monthName - A full name or abbreviation, e.g. "September", "sept", "März".
+ * @returns {?number} 1-12, or null if the name is unknown or could mean two months.
+ */
+function getMonthNumber(monthName) {
+    if (!monthName) return null;
+    const name = normalizeMonthName(monthName);
+    if (MONTH_NAME_ALIASES[name]) return MONTH_NAME_ALIASES[name];
+    if (name.length < 3) return null;
+
+    const exact = new Set();
+    const prefixed = new Set();
+    Object.values(MONTH_NAMES).forEach(names => names.forEach((fullName, index) => {
+        if (fullName === name) exact.add(index + 1);
+        else if (fullName.startsWith(name)) prefixed.add(index + 1);
+    }));
+    const candidates = exact.size > 0 ? exact : prefixed;
+    return candidates.size === 1 ? Array.from(candidates)[0] : null;
+}
+
+/**
+ * Whether year-month-day is a real calendar date (no February 30th, no month 13).
+ */
+function isValidCalendarDate(year, month, day) {
+    if (month < 1 || month > 12 || day < 1) return false;
+    return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Decides the order of numeric dates from a whole list: a first number above 12
+ * means day first, a second number above 12 means month first.
+ * @param {string[]} values - The raw dates.
+ * @returns {?string} 'MDY', 'DMY', or null if no date settles it or the list is mixed.
+ */
+function detectDayOrder(values) {
+    let dayFirst = false;
+    let monthFirst = false;
+    values.forEach(value => {
+        const match = NUMERIC_DATE.exec(String(value ?? ''));
+        if (!match) return;
+        if (Number(match[1]) > 12) dayFirst = true;
+        if (Number(match[2]) > 12) monthFirst = true;
+    });
+    if (dayFirst === monthFirst) return null;
+    return dayFirst ? 'DMY' : 'MDY';
+}
+
+/**
+ * Parses one date, with its time if it has one.
+ * @param {string} text - The raw date.
+ * @param {Object} [options]
+ * @param {string} [options.order] - 'MDY' or 'DMY' for numeric dates; anything else (e.g. an
+ *   undetected "auto") reads them in FALLBACK_DATE_ORDER and flags those that could be read either way.
+ * @param {string} [options.timeZone] - IANA zone dates without an offset are in, and the zone
+ *   the returned parts are expressed in. Defaults to UTC.
+ * @param {number} [options.now] - Reference time for relative phrases. Defaults to the current time.
+ * @returns {{date: ?Object, error: ?string, ambiguous: boolean}} date holds year, month, day, hour,
+ *   minute, second, millisecond and offsetMinutes in the time zone, plus the UTC timestamp;
+ *   error is set (and date null) when the text is not a date; ambiguous is set when a
+ *   numeric date could also be read with day and month swapped.
+ */
+function parseDate(text, options = {}) {
+    const trimmed = String(text ?? '').trim();
+    const result = { date: null, error: null, ambiguous: false };
+    if (trimmed === '') return result;
+
+    const timeZone = options.timeZone || 'UTC';
+    const instant = parseEpoch(trimmed) ?? parseRelative(trimmed, options.now ?? Date.now(), timeZone);
+    if (instant !== null) {
+        result.date = timestampToZonedParts(instant, timeZone);
+        return result;
+    }
+
+    const order = DATE_ORDERS[options.order] && options.order !== 'auto' ? options.order : null;
+    for (const pattern of DATE_PATTERNS) {
+        const match = pattern.regex.exec(trimmed);
+        if (!match) continue;
+
+        const year = Number(match[pattern.yearIndex]);
+        let month;
+        let day;
+        if (pattern.isMonthName) {
+            month = getMonthNumber(match[pattern.monthIndex]);
+            day = Number(match[pattern.dayIndex]);
+            if (month === null) continue;
+        } else if (pattern.firstIndex) {
+            const first = Number(match[pattern.firstIndex]);
+            const second = Number(match[pattern.secondIndex]);
+            const dayFirst = (order || FALLBACK_DATE_ORDER) === 'DMY';
+            month = dayFirst ? second : first;
+            day = dayFirst ? first : second;
+            // Without a known order, a number above 12 still settles this one date
+            if (!order && month > 12 && day <= 12) [month, day] = [day, month];
+            result.ambiguous = !order && first <= 12 && second <= 12 && first !== second;
+        } else {
+            month = Number(match[pattern.monthIndex]);
+            day = Number(match[pattern.dayIndex]);
+        }
+
+        if (!isValidCalendarDate(year, month, day)) {
+            result.ambiguous = false;
+            result.error = month < 1 || month > 12
+                ? `Not a real date (there is no month ${month})`
+                : `Not a real date (${monthLabel(month)} has no day ${day})`;
+            return result;
+        }
+
+        const time = parseTime(trimmed.replace(match[0], ' '));
+        if (time.error) {
+            result.ambiguous = false;
+            result.error = time.error;
+            return result;
+        }
+        const wallTime = { year, month, day, hour: time.hour, minute: time.minute, second: time.second, millisecond: time.millisecond };
+        const timestamp = time.offsetMinutes === null
+            ? zonedPartsToTimestamp(wallTime, timeZone)
+            : partsToUtc(wallTime) - time.offsetMinutes * 60000;
+        result.date = timestampToZonedParts(timestamp, timeZone);
+        return result;
+    }
+
+    result.error = 'Unrecognized format';
+    return result;
+}
+
+/**
+ * Reads the time of day from what is left of a date string once the date is removed.
+ * @returns {{hour: number, minute: number, second: number, millisecond: number,
+ *   offsetMinutes: ?number, error: ?string}} Midnight if there is no time; offsetMinutes
+ *   is null unless the text gives an offset (Z, UTC, +02:00…).
+ */
+function parseTime(text) {
+    const time = { hour: 0, minute: 0, second: 0, millisecond: 0, offsetMinutes: null, error: null };
+    let meridiem = null;
+    let offset = null;
+    const clock = CLOCK_TIME.exec(text);
+    const hourOnly = clock ? null : HOUR_TIME.exec(text);
+    if (clock) {
+        time.hour = Number(clock[1]);
+        time.minute = Number(clock[2]);
+        time.second = Number(clock[3] || 0);
+        time.millisecond = clock[4] ? Math.round(Number(`0.${clock[4]}`) * 1000) : 0;
+        meridiem = clock[5];
+        offset = clock[6];
+    } else if (hourOnly) {
+        time.hour = Number(hourOnly[1]);
+        meridiem = hourOnly[2];
+        offset = hourOnly[3];
+    } else {
+        return time;
+    }
+
+    if (meridiem) {
+        if (time.hour < 1 || time.hour > 12) return { ...time, error: `Not a real time (${time.hour} ${meridiem.toUpperCase()}M)` };
+        time.hour = (time.hour % 12) + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+    }
+    if (time.hour > 23 || time.minute > 59 || time.second > 59) {
+        return { ...time, error: `Not a real time (${(clock || hourOnly)[0].trim()})` };
+    }
+    if (offset) time.offsetMinutes = parseOffset(offset);
+    return time;
+}
+
+/**
+ * Converts "Z", "UTC", "+02", "+0200", "-05:30", "GMT+0200" or "UTC+5:30" to minutes east of UTC.
+ */
+function parseOffset(text) {
+    const match = /([+-])(\d{1,2}?):?(\d{2})?$/.exec(text);
+    if (!match) return 0; // Z, UTC or GMT
+    const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+    return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * @returns {?number} The timestamp (ms) of a Unix epoch number, or null if the text isn't one.
+ */
+function parseEpoch(text) {
+    if (!EPOCH_NUMBER.test(text)) return null;
+    const digits = text.replace('-', '').length;
+    return digits <= 10 ? Number(text) * 1000 : Number(text);
+}
+
+/**
+ * Reads "3 days ago", "in 2 hours", "a month ago", "now", "today", "yesterday" and
+ * "tomorrow" (the last three as midnight in the time zone).
+ * @returns {?number} The timestamp, or null if the text isn't a relative phrase.
+ */
+function parseRelative(text, now, timeZone) {
+    const phrase = text.toLowerCase().replace(/\s+/g, ' ');
+    if (phrase === 'now' || phrase === 'just now') return now;
+    if (phrase in RELATIVE_DAYS) {
+        const today = timestampToZonedParts(now, timeZone);
+        return zonedPartsToTimestamp(shiftCalendar({ ...today, hour: 0, minute: 0, second: 0, millisecond: 0 }, 'day', RELATIVE_DAYS[phrase]), timeZone);
+    }
+
+    const match = RELATIVE_PHRASE.exec(phrase);
+    if (!match) return null;
+    const ago = match[1] !== undefined;
+    const amountText = ago ? match[1] : match[3];
+    const unit = ago ? match[2] : match[4];
+    const amount = (/^an?$/.test(amountText) ? 1 : Number(amountText)) * (ago ? -1 : 1);
+    if (RELATIVE_UNITS[unit]) return now + amount * RELATIVE_UNITS[unit];
+    // Months and years vary in length, so they move the calendar date instead
+    return zonedPartsToTimestamp(shiftCalendar(timestampToZonedParts(now, timeZone), unit, amount), timeZone);
+}
+
+/**
+ * Moves date parts by whole days, months or years, keeping the day within the month
+ * (January 31st plus one month is February 28th or 29th).
+ */
+function shiftCalendar(parts, unit, amount) {
+    if (unit === 'day') {
+        const shifted = new Date(partsToUtc(parts) + amount * 86400000);
+        return { ...parts, year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() };
+    }
+    const months = parts.year * 12 + (parts.month - 1) + amount * (unit === 'year' ? 12 : 1);
+    const year = Math.floor(months / 12);
+    const month = (months % 12) + 1;
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return { ...parts, year, month, day: Math.min(parts.day, lastDay) };
+}
+
+/**
+ * Checks that a time zone name is one the browser knows.
+ */
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+const zoneFormatters = new Map();
+
+/**
+ * Minutes the time zone is ahead of UTC at the given moment.
+ */
+function zoneOffsetMinutes(timestamp, timeZone) {
+    if (!zoneFormatters.has(timeZone)) {
+        zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric',
+        }));
+    }
+    const parts = {};
+    zoneFormatters.get(timeZone).formatToParts(new Date(timestamp)).forEach(part => { parts[part.type] = Number(part.value); });
+    const wholeSeconds = Math.floor(timestamp / 1000) * 1000;
+    return Math.round((partsToUtc({ ...parts, millisecond: 0 }) - wholeSeconds) / 60000);
+}
+
+/**
+ * Splits a timestamp into date and time parts as seen in the time zone.
+ */
+function timestampToZonedParts(timestamp, timeZone) {
+    const offsetMinutes = zoneOffsetMinutes(timestamp, timeZone);
+    const shifted = new Date(timestamp + offsetMinutes * 60000);
+    return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate(),
+        hour: shifted.getUTCHours(),
+        minute: shifted.getUTCMinutes(),
+        second: shifted.getUTCSeconds(),
+        millisecond: shifted.getUTCMilliseconds(),
+        offsetMinutes,
+        timestamp,
+    };
+}
+
+/**
+ * The timestamp of a wall-clock time in the time zone. A time skipped by a
+ * daylight-saving change is moved forward by the size of the change.
+ */
+function zonedPartsToTimestamp(parts, timeZone) {
+    const asUtc = partsToUtc(parts);
+    const firstGuess = asUtc - zoneOffsetMinutes(asUtc, timeZone) * 60000;
+    return asUtc - zoneOffsetMinutes(firstGuess, timeZone) * 60000;
+}
+
+function partsToUtc(parts) {
+    const date = new Date(0);
+    date.setUTCFullYear(parts.year, parts.month - 1, parts.day);
+    date.setUTCHours(parts.hour || 0, parts.minute || 0, parts.second || 0, parts.millisecond || 0);
+    return date.getTime();
+}
+
+/**
+ * Writes a parsed date with the DATE_FORMAT_TOKENS, e.g. "YYYY-MM-DDTHH:mm:ssZ".
+ * @param {Object} date - A date from parseDate.
+ * @param {string} pattern
+ * @returns {string}
+ */
+function formatDate(date, pattern) {
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const offset = (separator) => {
+        const minutes = Math.abs(date.offsetMinutes);
+        return `${date.offsetMinutes < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${separator}${pad(minutes % 60)}`;
+    };
+    const hour12 = date.hour % 12 === 0 ? 12 : date.hour % 12;
+    const values = {
+        YYYY: () => pad(date.year, 4),
+        MMMM: () => monthLabel(date.month),
+        MMM: () => monthLabel(date.month).slice(0, 3),
+        MM: () => pad(date.month),
+        M: () => String(date.month),
+        DD: () => pad(date.day),
+        D: () => String(date.day),
+        HH: () => pad(date.hour),
+        H: () => String(date.hour),
+        hh: () => pad(hour12),
+        h: () => String(hour12),
+        mm: () => pad(date.minute),
+        ss: () => pad(date.second),
+        SSS: () => pad(date.millisecond, 3),
+        A: () => (date.hour < 12 ? 'AM' : 'PM'),
+        Z: () => offset(':'),
+        ZZ: () => offset(''),
+        X: () => String(Math.floor(date.timestamp / 1000)),
+        x: () => String(date.timestamp),
+    };
+    return pattern.replace(DATE_FORMAT_TOKEN_PATTERN, (token, literal) => (literal !== undefined ? literal : values[token]()));
+}
+
+/**
+ * Cleans a column of dates: every cell that can be read is written with the pattern,
+ * the rest are kept as they were.
+ * @param {string[]} values - The raw cells.
+ * @param {Object} settings - parseDate's options plus the output pattern (see formatDate).
+ * @returns {{values: string[], errors: string[], cleanedCount: number, failedCount: number, ambiguousCount: number}}
+ *   errors holds each cell's parse error, or '' if it was read or empty.
+ */
+function cleanDateValues(values, settings) {
+    const result = { values: [], errors: [], cleanedCount: 0, failedCount: 0, ambiguousCount: 0 };
+    values.forEach(value => {
+        const parsed = parseDate(value, settings);
+        result.values.push(parsed.date ? formatDate(parsed.date, settings.pattern) : value);
+        result.errors.push(parsed.error || '');
+        if (parsed.date) result.cleanedCount++;
+        if (parsed.error) result.failedCount++;
+        if (parsed.ambiguous) result.ambiguousCount++;
+    });
+    return result;
+}
+
+/**
+ * The new DATE_ERRORS_COLUMN text of a row after some of its columns were cleaned
+ * again: earlier messages about those columns are replaced by the new ones (so a
+ * date that now reads clears its message), messages about other columns are kept.
+ * @param {string} existing - The row's current errors text ('' if there is none).
+ * @param {string[]} columns - The columns just cleaned.
+ * @param {string[]} errors - The new messages, each "Column: problem".
+ * @returns {string}
+ */
+function mergeDateErrors(existing, columns, errors) {
+    const kept = String(existing ?? '').split('; ')
+        .filter(message => message && !columns.some(column => message.startsWith(`${column}: `)));
+    return [...kept, ...errors].join('; ');
+}
+
+/**
+ * Formats parsed date parts as YYYY-MM-DD.
+ */
+function formatIsoDate(date) {
+    return `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+}
+
+function monthLabel(month) {
+    const name = MONTH_NAMES.en[month - 1] || '';
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
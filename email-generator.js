@@ -1,58 +1,169 @@
-// --- 1. ELEMENT REFERENCES ---
-const generateBtn = document.getElementById('generateBtn');
-const emailCountInput = document.getElementById('emailCount');
-const emailOutput = document.getElementById('emailOutput');
-const domainSelector = document.getElementById('domainSelector');
-
-// --- 2. EVENT LISTENERS ---
-generateBtn.addEventListener('click', generateEmails);
-emailCountInput.addEventListener('keyup', (event) => {
-    if (event.key === 'Enter') {
-        generateEmails();
-    }
-});
-
-// --- 3. CORE FUNCTIONS ---
-
-/**
- * Generates a random alphanumeric string of a given length.
- * @param {number} length - The desired length of the string.
- * @returns {string} The randomly generated string.
- */
-function generateRandomString(length) {
-    const characters = 'abcdefghijklmnopqrstuvwxyz0123456789';
-    let result = '';
-    for (let i = 0; i < length; i++) {
-        result += characters.charAt(Math.floor(Math.random() * characters.length));
-    }
-    return result;
-}
-
-/**
- * Main function to generate and display the list of dummy emails.
- */
-function generateEmails() {
-    const count = parseInt(emailCountInput.value, 10);
-    const selectedDomain = domainSelector.value;
-
-    if (isNaN(count) || count <= 0) {
-        alert('Please enter a valid positive number.');
-        return;
-    }
-
-    const randomDomains = ['example.com', 'mail.net', 'test.org', 'dummy.io', 'gmail.com', 'yahoo.com'];
-    let generatedEmails = [];
-
-    for (let i = 0; i < count; i++) {
-        const usernameLength = Math.floor(Math.random() * 5) + 8; // 8-12 characters
-        const username = generateRandomString(usernameLength);
-        
-        const domain = (selectedDomain === 'random')
-            ? randomDomains[Math.floor(Math.random() * randomDomains.length)]
-            : selectedDomain;
-
-        generatedEmails.push(`${username}@${domain}`);
-    }
-
-    emailOutput.value = generatedEmails.join('\n');
-}
\ No newline at end of file
+// --- 1. ELEMENT REFERENCES ---
+const generateBtn = document.getElementById('generateBtn');
+const emailCountInput = document.getElementById('emailCount');
+const emailOutput = document.getElementById('emailOutput');
+const patternInput = document.getElementById('patternInput');
+const patternHelp = document.getElementById('patternHelp');
+const storeInput = document.getElementById('storeInput');
+const domainListSelect = document.getElementById('domainListSelect');
+const domainsInput = document.getElementById('domainsInput');
+const saveDomainListBtn = document.getElementById('saveDomainListBtn');
+const deleteDomainListBtn = document.getElementById('deleteDomainListBtn');
+const resultText = document.getElementById('resultText');
+const copyBtn = document.getElementById('copyBtn');
+const downloadCsvBtn = document.getElementById('downloadCsvBtn');
+const downloadJsonBtn = document.getElementById('downloadJsonBtn');
+
+const DOMAIN_LISTS_STORAGE_KEY = 'stool.emailGenerator.domainLists';
+
+// Domain lists that are always available; the user's own lists are added from localStorage.
+const BUILT_IN_DOMAIN_LISTS = {
+    default: { label: 'Built-in (example.com, mail.net, …)', domains: ['example.com', 'mail.net', 'test.org', 'dummy.io', 'gmail.com', 'yahoo.com'] },
+    reserved: { label: 'Reserved test domains (never delivered)', domains: FAKE_EMAIL_DOMAINS },
+};
+
+let generatedEmails = [];
+
+// --- 2. EVENT LISTENERS ---
+generateBtn.addEventListener('click', generateEmails);
+emailCountInput.addEventListener('keyup', (event) => {
+    if (event.key === 'Enter') {
+        generateEmails();
+    }
+});
+domainListSelect.addEventListener('change', () => applyDomainList(domainListSelect.value));
+saveDomainListBtn.addEventListener('click', saveDomainList);
+deleteDomainListBtn.addEventListener('click', deleteDomainList);
+copyBtn.addEventListener('click', copyToClipboard);
+downloadCsvBtn.addEventListener('click', () => {
+    if (generatedEmails.length === 0) return;
+    CsvTool.downloadCsv([['Email'], ...generatedEmails.map(email => [email])], 'emails.csv');
+});
+downloadJsonBtn.addEventListener('click', downloadJson);
+
+// --- 3. CORE FUNCTIONS ---
+
+/**
+ * Main function to generate and display the list of dummy emails.
+ */
+function generateEmails() {
+    const count = parseInt(emailCountInput.value, 10);
+
+    if (isNaN(count) || count <= 0 || count > 100000) {
+        alert('Please enter a number between 1 and 100000.');
+        return;
+    }
+
+    const domains = readDomains();
+    const invalidDomains = domains.filter(domain => !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(domain));
+    if (invalidDomains.length > 0) {
+        alert(`These domains are not valid: ${invalidDomains.join(', ')}`);
+        return;
+    }
+
+    try {
+        generatedEmails = generatePatternEmails(patternInput.value.trim(), count, { domains, store: storeInput.value });
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+
+    emailOutput.value = generatedEmails.join('\n');
+    resultText.textContent = `Generated ${generatedEmails.length} unique addresses.`;
+}
+
+/**
+ * @returns {string[]} The distinct domains entered, one per line (commas also separate).
+ */
+function readDomains() {
+    const domains = domainsInput.value.split(/[\n,]/)
+        .map(domain => domain.trim().replace(/^@/, '').toLowerCase())
+        .filter(domain => domain !== '');
+    return Array.from(new Set(domains));
+}
+
+/**
+ * Copies the generated emails to the user's clipboard.
+ */
+async function copyToClipboard() {
+    if (!emailOutput.value) return;
+    try {
+        await navigator.clipboard.writeText(emailOutput.value);
+        const originalText = copyBtn.textContent;
+        copyBtn.textContent = 'Copied!';
+        setTimeout(() => { copyBtn.textContent = originalText; }, 1500);
+    } catch (err) {
+        alert('Failed to copy text.');
+    }
+}
+
+/**
+ * Downloads the generated emails as a JSON array.
+ */
+function downloadJson() {
+    if (generatedEmails.length === 0) return;
+    CsvTool.downloadText(JSON.stringify(generatedEmails, null, 2), 'emails.json', 'application/json');
+}
+
+// --- 4. DOMAIN LISTS ---
+
+/**
+ * Reads the user's saved domain lists from localStorage.
+ */
+function loadCustomDomainLists() {
+    try {
+        return JSON.parse(localStorage.getItem(DOMAIN_LISTS_STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function populateDomainListSelect(selectedId) {
+    domainListSelect.innerHTML = '';
+    Object.entries({ ...BUILT_IN_DOMAIN_LISTS, ...loadCustomDomainLists() }).forEach(([id, list]) => {
+        domainListSelect.add(new Option(list.label, id));
+    });
+    domainListSelect.value = selectedId;
+}
+
+function applyDomainList(id) {
+    const list = { ...BUILT_IN_DOMAIN_LISTS, ...loadCustomDomainLists() }[id];
+    if (!list) return;
+    domainsInput.value = list.domains.join('\n');
+    deleteDomainListBtn.disabled = id in BUILT_IN_DOMAIN_LISTS;
+}
+
+/**
+ * Saves the domains currently entered under a new name.
+ */
+function saveDomainList() {
+    const domains = readDomains();
+    if (domains.length === 0) {
+        alert('Please enter at least one domain to save.');
+        return;
+    }
+    const name = (prompt('Name for this domain list:') || '').trim();
+    if (!name) return;
+
+    const id = `custom:${name}`;
+    const lists = loadCustomDomainLists();
+    lists[id] = { label: name, domains };
+    localStorage.setItem(DOMAIN_LISTS_STORAGE_KEY, JSON.stringify(lists));
+    populateDomainListSelect(id);
+    deleteDomainListBtn.disabled = false;
+}
+
+function deleteDomainList() {
+    const id = domainListSelect.value;
+    if (id in BUILT_IN_DOMAIN_LISTS || !confirm(`Delete the domain list "${domainListSelect.selectedOptions[0].text}"?`)) return;
+    const lists = loadCustomDomainLists();
+    delete lists[id];
+    localStorage.setItem(DOMAIN_LISTS_STORAGE_KEY, JSON.stringify(lists));
+    populateDomainListSelect('default');
+    applyDomainList('default');
+}
+
+// --- 5. INITIALIZATION ---
+patternHelp.textContent = `Placeholders: ${Object.entries(EMAIL_PATTERN_PLACEHOLDERS).map(([token, meaning]) => `${token} = ${meaning}`).join('; ')}. Every generated address is unique.`;
+populateDomainListSelect('default');
+applyDomainList('default');
@@ -0,0 +1,141 @@
+/**
+ * Stool - Email Patterns
+ * Expands address patterns such as "qa+{store}-{n:0000}@{domain}" or
+ * "{first}.{last}{rand:4}@{domain}" into lists of distinct email addresses.
+ * This file has no DOM access. Requires fake-data.js.
+ */
+
+/**
+ * Placeholders a pattern may use, for the page's help text.
+ */
+const EMAIL_PATTERN_PLACEHOLDERS = {
+    '{n}': 'A running number (1, 2, 3…)',
+    '{n:0000}': 'A running number padded to the number of zeros (0001, 0002…)',
+    '{rand:N}': 'N random lowercase letters and digits',
+    '{first}': 'A random first name',
+    '{last}': 'A random last name',
+    '{store}': 'The store name, lowercased with spaces as hyphens',
+    '{domain}': 'A domain from the domain list',
+};
+
+const RANDOM_CHARACTERS = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Splits a pattern into literal text and placeholders.
+ * @param {string} pattern
+ * @returns {Object[]} Parts: {type: 'text', value}, {type: 'counter', width}, {type: 'rand', length},
+ *   or {type: 'first' | 'last' | 'store' | 'domain'}.
+ * @throws {Error} If a placeholder is unknown or a brace is not closed.
+ */
+function parseEmailPattern(pattern) {
+    const parts = [];
+    const placeholder = /\{([^{}]*)\}/g;
+    let last = 0;
+    let match;
+    while ((match = placeholder.exec(pattern)) !== null) {
+        if (match.index > last) parts.push({ type: 'text', value: pattern.slice(last, match.index) });
+        parts.push(parsePlaceholder(match[1]));
+        last = placeholder.lastIndex;
+    }
+    if (last < pattern.length) parts.push({ type: 'text', value: pattern.slice(last) });
+
+    const text = parts.filter(part => part.type === 'text').map(part => part.value).join('');
+    if (/[{}]/.test(text)) throw new Error('The pattern has an unmatched { or }.');
+    if (!parts.some(part => part.type === 'domain') && !text.includes('@')) throw new Error('The pattern must contain an @.');
+    return parts;
+}
+
+function parsePlaceholder(body) {
+    const [name, argument] = body.trim().split(':');
+    switch (name) {
+        case 'n':
+            if (argument !== undefined && !/^0+$/.test(argument)) throw new Error(`Pad {n} with zeros only, e.g. {n:0000} (got "{${body}}").`);
+            return { type: 'counter', width: argument ? argument.length : 0 };
+        case 'rand': {
+            const length = parseInt(argument, 10);
+            if (isNaN(length) || length < 1 || length > 64) throw new Error(`Give {rand} a length from 1 to 64, e.g. {rand:6} (got "{${body}}").`);
+            return { type: 'rand', length };
+        }
+        case 'first':
+        case 'last':
+        case 'store':
+        case 'domain':
+            return { type: name };
+        default:
+            throw new Error(`Unknown placeholder "{${body}}".`);
+    }
+}
+
+/**
+ * How many different addresses the parts can produce (Infinity with a counter).
+ */
+function emailPatternCapacity(parts, domainCount) {
+    if (parts.some(part => part.type === 'counter')) return Infinity;
+    return parts.reduce((total, part) => {
+        switch (part.type) {
+            case 'rand': return total * Math.pow(RANDOM_CHARACTERS.length, part.length);
+            case 'first': return total * FIRST_NAMES.length;
+            case 'last': return total * LAST_NAMES.length;
+            case 'domain': return total * domainCount;
+            default: return total;
+        }
+    }, 1);
+}
+
+/**
+ * Generates distinct addresses from a pattern. Addresses that differ only in
+ * letter case count as the same address, as most mail systems treat them so.
+ * @param {string} pattern - See EMAIL_PATTERN_PLACEHOLDERS.
+ * @param {number} count - How many addresses to make.
+ * @param {Object} [options]
+ * @param {string[]} [options.domains] - Domains for {domain}; required if the pattern uses it.
+ * @param {string} [options.store] - Text for {store}.
+ * @param {number} [options.start] - First value of {n}. Defaults to 1.
+ * @param {string} [options.seed] - Seed for the random parts. Defaults to a random one.
+ * @returns {string[]} The addresses, in the order generated.
+ * @throws {Error} If the pattern is invalid or cannot produce `count` distinct addresses.
+ */
+function generatePatternEmails(pattern, count, options = {}) {
+    const parts = parseEmailPattern(pattern);
+    const domains = options.domains || [];
+    const store = (options.store || '').trim().toLowerCase().replace(/\s+/g, '-');
+    const start = options.start ?? 1;
+    if (parts.some(part => part.type === 'domain') && domains.length === 0) throw new Error('The pattern uses {domain}, but the domain list is empty.');
+    if (parts.some(part => part.type === 'store') && !store) throw new Error('The pattern uses {store}; please enter a store name.');
+
+    const capacity = emailPatternCapacity(parts, domains.length);
+    const tooFew = (made) => new Error(`This pattern can only make ${made} different addresses. Add {n} or a longer {rand:N} to make ${count}.`);
+    if (count > capacity) throw tooFew(capacity);
+
+    const rng = createRng(options.seed ?? randomSeed());
+    const expand = (serial) => parts.map(part => {
+        switch (part.type) {
+            case 'counter': return String(serial).padStart(part.width, '0');
+            case 'rand': return Array.from({ length: part.length }, () => RANDOM_CHARACTERS.charAt(rng.int(0, RANDOM_CHARACTERS.length - 1))).join('');
+            case 'first': return rng.pick(FIRST_NAMES).toLowerCase();
+            case 'last': return rng.pick(LAST_NAMES).toLowerCase();
+            case 'store': return store;
+            case 'domain': return rng.pick(domains);
+            default: return part.value;
+        }
+    }).join('');
+
+    const sample = expand(start);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(sample)) throw new Error(`The pattern produces "${sample}", which is not a valid email address.`);
+
+    // Random parts can repeat; redraw until every address is new, within a budget
+    // that is ample unless the count is close to the pattern's capacity.
+    const seen = new Set();
+    const emails = [];
+    const maxAttempts = count * 20 + 1000;
+    for (let attempts = 0, serial = start; emails.length < count; attempts++) {
+        if (attempts >= maxAttempts) throw tooFew(`about ${emails.length}`);
+        const email = expand(serial);
+        const key = email.toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+        emails.push(email);
+        serial++;
+    }
+    return emails;
+}
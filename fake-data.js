@@ -0,0 +1,292 @@
+/**
+ * Stool - Fake Data
+ * Seeded generators for synthetic test records: names, emails (including plus
+ * addressing, subdomains, unicode local parts and deliberately invalid addresses),
+ * order and product IDs, dates, star ratings and review text. The same seed and
+ * options always produce the same records, so a test dataset can be rebuilt exactly.
+ * This file has no DOM access.
+ */
+
+const FIRST_NAMES = [
+    'Olivia', 'Liam', 'Emma', 'Noah', 'Ava', 'Elijah', 'Sophia', 'James', 'Mia', 'Lucas',
+    'Amelia', 'Mateo', 'Harper', 'Ethan', 'Chloe', 'Daniel', 'Grace', 'Samuel', 'Nora', 'Leo',
+    'Priya', 'Hiroshi', 'Fatima', 'Kwame', 'Ingrid', 'Santiago', 'Mei', 'Omar', 'Anya', 'Tariq',
+];
+
+const LAST_NAMES = [
+    'Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis', 'Martinez', 'Lopez',
+    'Wilson', 'Anderson', 'Taylor', 'Thomas', 'Moore', 'Martin', 'Lee', 'Clark', 'Walker', 'Young',
+    'Patel', 'Tanaka', 'Haddad', 'Mensah', 'Larsen', 'Romero', 'Chen', 'Farouk', 'Ivanova', 'Khan',
+];
+
+// Names with accents and non-Latin letters, for unicode local parts and display names.
+const UNICODE_NAMES = ['José', 'Zoë', 'Björn', 'Søren', 'François', 'Łukasz', 'Çelik', 'Ñuñez', 'Αλέξης', 'Дмитрий', '美咲', 'हर्ष'];
+
+// Reserved (RFC 2606/6761) domains only, so generated addresses can never reach a real inbox.
+const FAKE_EMAIL_DOMAINS = ['example.com', 'example.net', 'example.org', 'shop.test', 'mail.test'];
+
+/**
+ * Valid email styles generateEmail can produce. It can also produce "invalid"
+ * addresses, malformed on purpose in one of the INVALID_EMAIL_FORMS ways.
+ */
+const EMAIL_VARIANTS = {
+    plain: 'Plain (jane.doe@example.com)',
+    plus: 'Plus addressing (jane.doe+qa42@example.com)',
+    subdomain: 'Subdomain (jane@eu.mail.example.com)',
+    unicode: 'Unicode local part (zoë.müller@example.com)',
+};
+
+// Ways of breaking an address; each takes a valid local part and domain.
+const INVALID_EMAIL_FORMS = [
+    (local, domain) => `${local}${domain}`,                 // Missing @
+    (local, domain) => `${local}@@${domain}`,               // Double @
+    (local, domain) => `${local}..x@${domain}`,             // Consecutive dots
+    (local, domain) => `.${local}@${domain}`,               // Leading dot
+    (local, domain) => `${local}.@${domain}`,               // Trailing dot
+    (local, domain) => `${local} x@${domain}`,              // Space
+    (local, domain) => `${local}@${domain.split('.')[0]}`,  // No top-level domain
+    (local) => `${local}@`,                                  // No domain
+    (local, domain) => `${local}@-${domain}`,               // Domain starts with a hyphen
+];
+
+const PRODUCT_ADJECTIVES = ['Classic', 'Organic', 'Ultra', 'Everyday', 'Premium', 'Compact', 'Vintage', 'Eco', 'Deluxe', 'Travel'];
+const PRODUCT_NOUNS = ['Sneaker', 'Backpack', 'Water Bottle', 'Hoodie', 'Face Cream', 'Desk Lamp', 'Yoga Mat', 'Coffee Grinder', 'Scarf', 'Headphones'];
+
+// Star ratings weighted the way real stores skew: mostly 5s, few 1s and 2s.
+const RATING_WEIGHTS = { 5: 55, 4: 22, 3: 10, 2: 6, 1: 7 };
+
+const REVIEW_TITLES = {
+    positive: ['Love it!', 'Exactly as described', 'Great quality', 'Would buy again', 'Exceeded expectations'],
+    neutral: ['It\'s okay', 'Decent for the price', 'Mixed feelings', 'Does the job'],
+    negative: ['Disappointed', 'Not as pictured', 'Fell apart quickly', 'Would not recommend'],
+};
+
+const REVIEW_SENTENCES = {
+    positive: [
+        'The {product} arrived quickly and fits perfectly.',
+        'I have used the {product} every day for a month and it still looks new.',
+        'Fantastic value, my second {product} from this store.',
+        'Customer service was friendly and helpful.',
+        'Packaging was neat and the colour is exactly as shown.',
+    ],
+    neutral: [
+        'The {product} works, but the sizing runs a little small.',
+        'Shipping took longer than expected.',
+        'Good enough for everyday use, nothing special.',
+        'The material feels thinner than I hoped.',
+    ],
+    negative: [
+        'The {product} broke after a week.',
+        'It looks nothing like the photos.',
+        'I had to return it and the refund took weeks.',
+        'Support never answered my emails.',
+    ],
+};
+
+/**
+ * Import templates the records can be shaped as. The order template matches the
+ * Yotpo order import (and the Order Invalidator's re-import mode); the review template
+ * matches the Yotpo review import.
+ */
+const FAKE_DATA_TEMPLATES = {
+    orders: {
+        label: 'Orders (order import template)',
+        header: ['Email', 'Customer Name', 'Order ID', 'Order Date', 'Product ID', 'Product Name',
+            'Product Description', 'Product URL', 'Product Image URL', 'Product Price', 'Currency'],
+    },
+    reviews: {
+        label: 'Reviews (review import template)',
+        header: ['product_id', 'product_title', 'product_url', 'product_image_url', 'product_description',
+            'review_title', 'review_content', 'review_score', 'date', 'display_name', 'email',
+            'comment_content', 'comment_public', 'comment_created_at', 'published'],
+    },
+};
+
+/**
+ * Default options for generateRecords.
+ */
+const DEFAULT_FAKE_DATA_OPTIONS = {
+    count: 100,                     // Orders or reviews to generate
+    endDate: '2024-12-31',          // Dates fall in the daysBack days up to this date (YYYY-MM-DD)
+    daysBack: 365,
+    productCount: 20,               // Size of the product catalog records are drawn from
+    orderIdPrefix: 'TEST-',
+    maxProductsPerOrder: 3,
+    emailVariants: ['plain', 'plus', 'subdomain'],
+    invalidEmailRate: 0,            // Share of records (0-1) that get an invalid email
+    storeUrl: 'https://shop.example.com',
+};
+
+/**
+ * Creates a seeded random number generator (mulberry32 over a string hash), so
+ * the same seed always gives the same sequence.
+ * @param {string|number} seed
+ * @returns {{next: function(): number, int: function(number, number): number, pick: function(Array): *,
+ *   chance: function(number): boolean, weighted: function(Object): string}}
+ */
+function createRng(seed) {
+    let state = hashSeed(String(seed));
+    const next = () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+    return {
+        next,
+        int,
+        pick: (list) => list[int(0, list.length - 1)],
+        chance: (probability) => next() < probability,
+        // Picks a key of {key: weight}
+        weighted: (weights) => {
+            const keys = Object.keys(weights);
+            let roll = next() * keys.reduce((sum, key) => sum + weights[key], 0);
+            for (const key of keys) {
+                roll -= weights[key];
+                if (roll < 0) return key;
+            }
+            return keys[keys.length - 1];
+        },
+    };
+}
+
+/**
+ * Hashes a seed string to a 32-bit integer (FNV-1a).
+ */
+function hashSeed(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * A random seed that is easy to read out and retype.
+ */
+function randomSeed() {
+    return Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * @returns {{first: string, last: string}}
+ */
+function generateName(rng, unicode = false) {
+    return {
+        first: unicode ? rng.pick(UNICODE_NAMES) : rng.pick(FIRST_NAMES),
+        last: rng.pick(LAST_NAMES),
+    };
+}
+
+/**
+ * Generates an email address in one of the EMAIL_VARIANTS styles.
+ * @param {Object} rng - From createRng.
+ * @param {{first: string, last: string}} name - Used for the local part.
+ * @param {string} variant - A key of EMAIL_VARIANTS, or 'invalid'.
+ * @param {number} serial - Appended to keep addresses apart.
+ */
+function generateEmail(rng, name, variant, serial) {
+    const base = `${name.first}.${name.last}`.toLowerCase();
+    const local = `${base}${serial}`;
+    const domain = rng.pick(FAKE_EMAIL_DOMAINS);
+    switch (variant) {
+        case 'plus':
+            return `${local}+${rng.pick(['qa', 'test', 'promo', 'orders'])}${rng.int(1, 999)}@${domain}`;
+        case 'subdomain':
+            return `${local}@${rng.pick(['eu', 'us', 'mail', 'corp'])}.${domain}`;
+        case 'unicode':
+            return `${rng.pick(UNICODE_NAMES).toLowerCase()}.${local}@${domain}`;
+        case 'invalid':
+            return rng.pick(INVALID_EMAIL_FORMS)(local, domain);
+        default:
+            return `${local}@${domain}`;
+    }
+}
+
+/**
+ * Builds a product catalog to draw order lines and reviews from.
+ * @returns {Object[]} {id, name, description, url, imageUrl, price}
+ */
+function generateProducts(rng, count, storeUrl) {
+    return Array.from({ length: count }, (_, i) => {
+        const name = `${rng.pick(PRODUCT_ADJECTIVES)} ${rng.pick(PRODUCT_NOUNS)}`;
+        const id = `SKU-${1001 + i}`;
+        const slug = `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${1001 + i}`;
+        return {
+            id,
+            name,
+            description: `Test listing for the ${name.toLowerCase()}.`,
+            url: `${storeUrl}/products/${slug}`,
+            imageUrl: `${storeUrl}/images/${slug}.jpg`,
+            price: (rng.int(500, 15000) / 100).toFixed(2),
+        };
+    });
+}
+
+/**
+ * A date up to daysBack days before endDate, as YYYY-MM-DD.
+ */
+function generateDate(rng, endDate, daysBack) {
+    const end = Date.parse(`${endDate}T00:00:00Z`);
+    return new Date(end - rng.int(0, daysBack) * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * Writes a review title and body that fit the rating.
+ * @returns {{title: string, content: string}}
+ */
+function generateReviewText(rng, rating, productName) {
+    const tone = rating >= 4 ? 'positive' : (rating === 3 ? 'neutral' : 'negative');
+    const sentences = Array.from({ length: rng.int(1, 3) }, () => rng.pick(REVIEW_SENTENCES[tone]).replace('{product}', productName.toLowerCase()));
+    return { title: rng.pick(REVIEW_TITLES[tone]), content: Array.from(new Set(sentences)).join(' ') };
+}
+
+/**
+ * Generates test records shaped as one of FAKE_DATA_TEMPLATES.
+ * Orders get one row per product, as the order import expects.
+ * @param {string} template - A key of FAKE_DATA_TEMPLATES.
+ * @param {string} seed - The same seed and options give the same rows.
+ * @param {Object} [options] - See DEFAULT_FAKE_DATA_OPTIONS.
+ * @returns {Array[]} The rows, header first.
+ */
+function generateRecords(template, seed, options = {}) {
+    const config = { ...DEFAULT_FAKE_DATA_OPTIONS, ...options };
+    if (!FAKE_DATA_TEMPLATES[template]) throw new Error(`Unknown template "${template}".`);
+    if (isNaN(Date.parse(config.endDate))) throw new Error(`Invalid end date "${config.endDate}". Use YYYY-MM-DD.`);
+    if (config.emailVariants.length === 0 && config.invalidEmailRate < 1) throw new Error('Choose at least one email style.');
+
+    const rng = createRng(seed);
+    const products = generateProducts(rng, config.productCount, config.storeUrl);
+    const rows = [FAKE_DATA_TEMPLATES[template].header];
+
+    for (let i = 1; i <= config.count; i++) {
+        const invalid = rng.chance(config.invalidEmailRate);
+        const variant = invalid ? 'invalid' : rng.pick(config.emailVariants);
+        const name = generateName(rng, variant === 'unicode' && rng.chance(0.5));
+        const email = generateEmail(rng, name, variant, i);
+        const date = generateDate(rng, config.endDate, config.daysBack);
+
+        if (template === 'orders') {
+            const orderId = `${config.orderIdPrefix}${String(i).padStart(6, '0')}`;
+            const lineCount = rng.int(1, Math.min(config.maxProductsPerOrder, products.length));
+            const lines = new Set();
+            while (lines.size < lineCount) lines.add(rng.pick(products));
+            lines.forEach(product => rows.push([
+                email, `${name.first} ${name.last}`, orderId, date, product.id, product.name,
+                product.description, product.url, product.imageUrl, product.price, 'USD',
+            ]));
+        } else {
+            const product = rng.pick(products);
+            const rating = Number(rng.weighted(RATING_WEIGHTS));
+            const text = generateReviewText(rng, rating, product.name);
+            rows.push([
+                product.id, product.name, product.url, product.imageUrl, product.description,
+                text.title, text.content, rating, date, `${name.first} ${name.last.charAt(0)}.`, email,
+                '', '', '', 'true',
+            ]);
+        }
+    }
+    return rows;
+}
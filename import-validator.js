@@ -0,0 +1,216 @@
+/**
+ * Stool - Import Validator
+ * Checks a CSV against a declarative import schema before it is uploaded, so bad
+ * star scores, empty reviews, malformed emails, non-ISO dates or missing product IDs
+ * show up here instead of as a failed import. REVIEW_IMPORT_SCHEMA describes the
+ * review import; columns not in the schema (e.g. expanded custom questions) are allowed.
+ * This file has no DOM access and is also loaded by review-remapper-worker.js.
+ */
+
+/**
+ * The review import format. Each column is found by any of its names (ignoring case,
+ * spaces and punctuation, so "review_content" also matches the export's "Review Content").
+ * Rules:
+ *   required   - the column must exist and no cell may be empty
+ *   type       - 'text' (default), 'integer', 'boolean', 'email', 'url' or 'date' (ISO 8601)
+ *   min, max   - the allowed range of an integer
+ *   maxLength  - the longest allowed text, in characters
+ */
+const REVIEW_IMPORT_SCHEMA = {
+    label: 'Review import',
+    columns: [
+        { name: 'product_id', aliases: ['Product ID', 'Product External ID', 'External Product ID', 'SKU'], required: true, maxLength: 100 },
+        { name: 'product_title', aliases: ['Product Title', 'Product Name'], maxLength: 255 },
+        { name: 'product_url', aliases: ['Product URL'], type: 'url', maxLength: 2048 },
+        { name: 'product_image_url', aliases: ['Product Image URL'], type: 'url', maxLength: 2048 },
+        { name: 'product_description', aliases: ['Product Description'], maxLength: 5000 },
+        { name: 'review_title', aliases: ['Review Title', 'Title'], maxLength: 150 },
+        { name: 'review_content', aliases: ['Review Content', 'Content', 'Review Body'], required: true, maxLength: 10000 },
+        { name: 'review_score', aliases: ['Review Score', 'Score', 'Rating', 'Stars'], required: true, type: 'integer', min: 1, max: 5 },
+        { name: 'date', aliases: ['Review Creation Date', 'Review Date', 'Created At'], required: true, type: 'date' },
+        { name: 'display_name', aliases: ['Reviewer Display Name', 'Display Name', 'Reviewer Name', 'User Name'], required: true, maxLength: 100 },
+        { name: 'email', aliases: ['Reviewer Email', 'User Email', 'Email'], required: true, type: 'email', maxLength: 254 },
+        { name: 'comment_content', aliases: ['Comment Content', 'Comment'], maxLength: 10000 },
+        { name: 'comment_public', aliases: ['Comment Public'], type: 'boolean' },
+        { name: 'comment_created_at', aliases: ['Comment Created At', 'Comment Date'], type: 'date' },
+        { name: 'published', aliases: ['Published'], type: 'boolean' },
+    ],
+};
+
+// Header of the downloadable validation report.
+const IMPORT_REPORT_HEADER = ['Row', 'Column', 'Value', 'Problem'];
+
+// Problems kept for the report; beyond this only the counts grow, to bound memory on huge files.
+const MAX_IMPORT_ISSUES_KEPT = 10000;
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Checks a single value against a column's type and range rules.
+ * @returns {?string} The problem, or null if the value is fine.
+ */
+const TYPE_CHECKS = {
+    text: () => null,
+    integer: (value, column) => {
+        if (!/^-?\d+$/.test(value)) return 'Not a whole number';
+        const number = Number(value);
+        if ((column.min !== undefined && number < column.min) || (column.max !== undefined && number > column.max)) {
+            return `Must be between ${column.min} and ${column.max}`;
+        }
+        return null;
+    },
+    boolean: (value) => (/^(true|false)$/i.test(value) ? null : 'Must be true or false'),
+    email: (value) => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) && !/\.\.|^\.|\.@|@\./.test(value) ? null : 'Not a valid email address'),
+    url: (value) => {
+        try {
+            return /^https?:$/.test(new URL(value).protocol) ? null : 'Not an http(s) URL';
+        } catch (e) {
+            return 'Not a valid URL';
+        }
+    },
+    date: (value) => {
+        const match = ISO_DATE.exec(value);
+        if (!match) return 'Not an ISO 8601 date (YYYY-MM-DD)';
+        const [year, month, day, hour, minute, second] = match.slice(1).map(part => Number(part || 0));
+        const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        if (month < 1 || month > 12 || day < 1 || day > lastDay || hour > 23 || minute > 59 || second > 59) return 'Not a real date';
+        return null;
+    },
+};
+
+/**
+ * Creates a validator for a file's header, to be fed rows one at a time (so it
+ * also works while streaming).
+ * @param {string[]} header - The header row of the file.
+ * @param {Object} [schema] - Defaults to REVIEW_IMPORT_SCHEMA.
+ * @returns {{check: function(Array, number): void, result: function(): Object}}
+ *   check takes a row (cells in header order) and its 1-based row number in the file;
+ *   result returns the findings: counts, missingColumns, per-column error counts and the issues.
+ */
+function createImportValidator(header, schema = REVIEW_IMPORT_SCHEMA) {
+    const normalized = header.map(normalizeSchemaHeader);
+    const columns = schema.columns.map(column => {
+        const names = [column.name, ...(column.aliases || [])].map(normalizeSchemaHeader);
+        const index = names.map(name => normalized.indexOf(name)).find(found => found !== -1);
+        return { ...column, index: index === undefined ? -1 : index, errorCount: 0 };
+    });
+    const missingColumns = columns.filter(column => column.required && column.index === -1).map(column => column.name);
+    const present = columns.filter(column => column.index !== -1);
+    const issues = [];
+    let issueCount = 0;
+    let rowCount = 0;
+    let invalidRowCount = 0;
+
+    return {
+        check(row, rowNumber) {
+            rowCount++;
+            let rowHasIssue = false;
+            present.forEach(column => {
+                const value = String(row[column.index] ?? '').trim();
+                const problem = checkImportValue(value, column);
+                if (!problem) return;
+                rowHasIssue = true;
+                column.errorCount++;
+                issueCount++;
+                if (issues.length < MAX_IMPORT_ISSUES_KEPT) issues.push({ row: rowNumber, column: header[column.index], value, problem });
+            });
+            if (rowHasIssue) invalidRowCount++;
+        },
+        result: () => ({
+            schema: schema.label,
+            rowCount,
+            invalidRowCount,
+            issueCount,
+            missingColumns,
+            columns: columns.map(column => ({
+                name: column.name,
+                header: column.index === -1 ? '' : header[column.index],
+                rule: describeImportRule(column),
+                errorCount: column.errorCount,
+            })),
+            issues,
+        }),
+    };
+}
+
+/**
+ * Validates rows that are already in memory.
+ * @param {string[]} header
+ * @param {Array[]} rows - Data rows, cells in header order.
+ * @param {Object} [schema] - Defaults to REVIEW_IMPORT_SCHEMA.
+ * @returns {Object} See createImportValidator.
+ */
+function validateImportRows(header, rows, schema = REVIEW_IMPORT_SCHEMA) {
+    const validator = createImportValidator(header, schema);
+    rows.forEach((row, i) => validator.check(row, i + 2)); // +2: header row and 1-based numbering
+    return validator.result();
+}
+
+/**
+ * @returns {?string} Why a value breaks the column's rules, or null.
+ */
+function checkImportValue(value, column) {
+    if (value === '') return column.required ? 'Required value is empty' : null;
+    if (column.maxLength && value.length > column.maxLength) return `Longer than ${column.maxLength} characters (${value.length})`;
+    return TYPE_CHECKS[column.type || 'text'](value, column);
+}
+
+/**
+ * Summarizes a column's rules for the report, e.g. "required, integer 1-5".
+ */
+function describeImportRule(column) {
+    const parts = [];
+    if (column.required) parts.push('required');
+    if (column.type === 'integer') parts.push(`integer ${column.min}-${column.max}`);
+    else if (column.type === 'date') parts.push('ISO 8601 date');
+    else if (column.type) parts.push(column.type);
+    if (column.maxLength) parts.push(`max ${column.maxLength} chars`);
+    return parts.join(', ') || 'text';
+}
+
+/**
+ * Turns a validation result into report rows, header first. Missing columns come first.
+ */
+function importReportRows(result) {
+    return [
+        IMPORT_REPORT_HEADER,
+        ...result.missingColumns.map(name => ['', name, '', 'Required column is missing']),
+        ...result.issues.map(issue => [issue.row, issue.column, issue.value, issue.problem]),
+    ];
+}
+
+/**
+ * Logs a one-line summary of a validation result, plus any missing columns. A file
+ * missing a required column never passes, whatever its rows look like.
+ * @param {Object} result - From createImportValidator.
+ * @param {function(string, boolean): void} log - E.g. a tool's logToScreen.
+ */
+function logImportValidation(result, log) {
+    const missing = result.missingColumns.length > 0;
+    if (missing) {
+        log(`Missing required columns: ${result.missingColumns.join(', ')}. The file will not import until they are added.`, true);
+    }
+    if (result.issueCount === 0) {
+        if (!missing) log(`✅ All ${result.rowCount} rows match the ${result.schema.toLowerCase()} format.`);
+    } else {
+        log(`Found ${result.issueCount} problems in ${result.invalidRowCount} of ${result.rowCount} rows.`, true);
+    }
+    if (result.issueCount > result.issues.length) {
+        log(`Only the first ${result.issues.length} problems are listed in the report.`);
+    }
+}
+
+/**
+ * Per-column summary rows for display, header first.
+ */
+function importColumnSummaryRows(result) {
+    return [
+        ['Schema Column', 'File Column', 'Rule', 'Errors'],
+        ...result.columns.map(column => [column.name, column.header || '(missing)', column.rule, column.errorCount]),
+    ];
+}
+
+// Same matching rule as CsvTool.normalizeHeader, which isn't available in the worker.
+function normalizeSchemaHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
@@ -0,0 +1,293 @@
+/**
+ * Stool - Order API Client
+ * The HTTP calls the Order Invalidator makes (deleting purchases, or creating them
+ * again when re-importing orders), behind a small client so the page
+ * never calls fetch directly. The client can point at another base URL (e.g. a
+ * local mock server) or run against createMockFetch, an in-browser stand-in for
+ * the API that simulates token failures, rejected orders and rate limits.
+ * createTokenManager keeps the uToken in memory for the session and renews it
+ * before it expires; tokens and secrets are never written to storage.
+ * This file has no DOM access.
+ */
+
+const DEFAULT_API_BASE_URL = 'https://api.yotpo.com';
+
+// A token is renewed once less than this much (or a tenth of its lifetime, if shorter) is left.
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Default behaviour of createMockFetch.
+ */
+const DEFAULT_MOCK_OPTIONS = {
+    failToken: false,       // The token request answers 401
+    rejectPattern: '',      // Batches containing an order ID matching this regex answer 400
+    rateLimitEvery: 0,      // Every Nth purchases request answers 429 (0 = never); responses then carry X-RateLimit-* headers
+    retryAfterSeconds: 1,   // Sent with each 429
+    tokenTtlSeconds: 1209600, // expires_in of issued tokens; purchases requests with an expired token answer 401
+    latencyMs: 150,         // Delay before every response
+};
+
+/**
+ * Creates an API client.
+ * @param {Object} [config]
+ * @param {string} [config.baseUrl] - Defaults to DEFAULT_API_BASE_URL.
+ * @param {function} [config.fetch] - A fetch-compatible function, e.g. from createMockFetch.
+ * @returns {Object} {baseUrl, purchasesUrl, requestToken, deletePurchases, describeDeletePurchases,
+ *   createPurchases, describeCreatePurchases}
+ */
+function createApiClient(config = {}) {
+    const baseUrl = (config.baseUrl || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+    const send = config.fetch || ((...args) => fetch(...args));
+    const purchasesUrl = (appKey) => `${baseUrl}/apps/${encodeURIComponent(appKey)}/purchases`;
+
+    /**
+     * Builds the purchases DELETE request for a list of orders without sending it.
+     * @returns {{method: string, url: string, body: Object}}
+     */
+    function describeDeletePurchases(appKey, uToken, orderIds) {
+        return {
+            method: 'DELETE',
+            url: purchasesUrl(appKey),
+            body: {
+                utoken: uToken,
+                orders: orderIds.map(id => ({ order_id: id })),
+            },
+        };
+    }
+
+    /**
+     * Builds the mass-create POST request that recreates orders, without sending it.
+     * (POST on purchasesUrl itself creates a single order from top-level fields.)
+     * @param {Object[]} orders - Purchase objects, e.g. from buildPurchaseOrders.
+     * @returns {{method: string, url: string, body: Object}}
+     */
+    function describeCreatePurchases(appKey, uToken, orders) {
+        return {
+            method: 'POST',
+            url: `${purchasesUrl(appKey)}/mass_create`,
+            body: {
+                utoken: uToken,
+                platform: 'general',
+                orders,
+            },
+        };
+    }
+
+    /**
+     * Exchanges the App Key and Secret Key for a uToken.
+     * @returns {Promise<{accessToken: string, expiresIn: ?number}>}
+     */
+    async function requestToken(appKey, secretKey) {
+        const response = await send(`${baseUrl}/oauth/token`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                grant_type: 'client_credentials',
+                client_id: appKey,
+                client_secret: secretKey,
+            }),
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`Token generation failed: ${data.error_description || response.statusText || `HTTP ${response.status}`}`);
+        }
+        if (!data.access_token) {
+            throw new Error('Token not found in authentication response.');
+        }
+        return { accessToken: data.access_token, expiresIn: data.expires_in ?? null };
+    }
+
+    /**
+     * Sends a single DELETE request for a list of orders.
+     * @returns {Promise<Object>} See sendPurchasesRequest.
+     */
+    function deletePurchases(appKey, uToken, orderIds) {
+        return sendPurchasesRequest(describeDeletePurchases(appKey, uToken, orderIds));
+    }
+
+    /**
+     * Sends a single POST request recreating a list of orders.
+     * @returns {Promise<Object>} See sendPurchasesRequest.
+     */
+    function createPurchases(appKey, uToken, orders) {
+        return sendPurchasesRequest(describeCreatePurchases(appKey, uToken, orders));
+    }
+
+    /**
+     * @returns {Promise<{ok: boolean, status: number, retryable: boolean, error: string, retryAfterMs: ?number, rateLimit: Object}>}
+     *   status is 0 when the request failed on the network. rateLimit is from readRateLimit.
+     */
+    async function sendPurchasesRequest(request) {
+        try {
+            const response = await send(request.url, {
+                method: request.method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(request.body),
+            });
+
+            const rateLimit = readRateLimit(response.headers);
+            if (response.status === 200 || response.status === 201 || response.status === 204) {
+                return { ok: true, status: response.status, retryable: false, error: '', retryAfterMs: null, rateLimit };
+            }
+            const errorData = await response.json().catch(() => ({}));
+            const retryAfter = parseFloat(response.headers.get('Retry-After'));
+            return {
+                ok: false,
+                status: response.status,
+                retryable: response.status === 429 || response.status >= 500,
+                error: errorData.error || errorData.status?.message || `HTTP ${response.status}`,
+                retryAfterMs: isFinite(retryAfter) ? retryAfter * 1000 : null,
+                rateLimit,
+            };
+        } catch (networkError) {
+            return { ok: false, status: 0, retryable: true, error: `Network error: ${networkError.message}`, retryAfterMs: null, rateLimit: readRateLimit(null) };
+        }
+    }
+
+    return { baseUrl, purchasesUrl, requestToken, deletePurchases, describeDeletePurchases, createPurchases, describeCreatePurchases };
+}
+
+/**
+ * Creates a token manager for one set of credentials. The token is requested on
+ * first use, shared by every batch of the session, and renewed shortly before it
+ * expires. Concurrent callers wait for the same request instead of each asking for
+ * a token.
+ * @param {Object} client - From createApiClient.
+ * @param {string} appKey
+ * @param {string} secretKey - Kept in this closure only.
+ * @param {function(string): void} [onRenew] - Called with a log line whenever a token is requested.
+ * @returns {{getToken: function(): Promise<string>, invalidate: function(string): void, hasFreshToken: function(): boolean,
+ *   expiresAt: function(): ?number, matches: function(Object, string, string): boolean}}
+ */
+function createTokenManager(client, appKey, secretKey, onRenew = () => {}) {
+    let token = null;
+    let expiresAt = null; // ms timestamp, or null if the API gave no expiry
+    let refreshMargin = 0;
+    let pending = null;
+
+    const isFresh = () => token !== null && (expiresAt === null || Date.now() < expiresAt - refreshMargin);
+
+    async function renew(reason) {
+        onRenew(reason);
+        const issuedAt = Date.now();
+        const { accessToken, expiresIn } = await client.requestToken(appKey, secretKey);
+        token = accessToken;
+        expiresAt = expiresIn ? issuedAt + expiresIn * 1000 : null;
+        refreshMargin = expiresIn ? Math.min(TOKEN_REFRESH_MARGIN_MS, expiresIn * 1000 / 10) : 0;
+        return token;
+    }
+
+    /**
+     * @returns {Promise<string>} A token that is not about to expire.
+     */
+    function getToken() {
+        if (isFresh()) return Promise.resolve(token);
+        if (!pending) {
+            const reason = token === null ? 'Requesting a new uToken...' : 'uToken is about to expire; renewing it...';
+            pending = renew(reason).finally(() => { pending = null; });
+        }
+        return pending;
+    }
+
+    /**
+     * Forgets a token the API rejected (401), so the next getToken requests a new one.
+     * A token that has already been replaced is ignored.
+     */
+    function invalidate(rejectedToken) {
+        if (rejectedToken === token) token = null;
+    }
+
+    return {
+        getToken,
+        invalidate,
+        hasFreshToken: isFresh,
+        expiresAt: () => expiresAt,
+        matches: (otherClient, otherAppKey, otherSecretKey) => otherClient.baseUrl === client.baseUrl && otherAppKey === appKey && otherSecretKey === secretKey,
+    };
+}
+
+/**
+ * Reads the rate-limit headers of a response (X-RateLimit-* or the newer RateLimit-*).
+ * The reset header may be seconds from now or a Unix timestamp.
+ * @param {?Headers} headers
+ * @returns {{limit: ?number, remaining: ?number, resetMs: ?number}} resetMs is the time
+ *   until the quota resets; any value the response did not send is null.
+ */
+function readRateLimit(headers) {
+    const read = (name) => {
+        const value = headers ? parseFloat(headers.get(`X-RateLimit-${name}`) ?? headers.get(`RateLimit-${name}`)) : NaN;
+        return isFinite(value) ? value : null;
+    };
+    const reset = read('Reset');
+    let resetMs = null;
+    if (reset !== null) {
+        resetMs = reset > 1e9 ? Math.max(0, reset * 1000 - Date.now()) : reset * 1000;
+    }
+    return { limit: read('Limit'), remaining: read('Remaining'), resetMs };
+}
+
+/**
+ * Creates a fetch-compatible function that imitates the token, purchases and mass-create
+ * endpoints in memory. Nothing leaves the browser.
+ * @param {Object} [options] - See DEFAULT_MOCK_OPTIONS.
+ * @param {function(string): void} [onRequest] - Called with a one-line description of every request.
+ * @returns {function(string, Object): Promise<Response>}
+ */
+function createMockFetch(options = {}, onRequest = () => {}) {
+    const config = { ...DEFAULT_MOCK_OPTIONS, ...options };
+    const rejectRegex = config.rejectPattern ? new RegExp(config.rejectPattern) : null;
+    const tokenExpiry = new Map(); // Issued token -> ms timestamp it expires at
+    let purchaseRequests = 0;
+
+    const respond = (status, body, headers = {}) => new Promise(resolve => {
+        setTimeout(() => resolve(new Response(body === null ? null : JSON.stringify(body), {
+            status,
+            headers: { 'Content-Type': 'application/json', ...headers },
+        })), config.latencyMs);
+    });
+
+    return async function mockFetch(url, init = {}) {
+        const path = new URL(url, 'http://mock.invalid').pathname;
+        const body = init.body ? JSON.parse(init.body) : {};
+
+        if (path.endsWith('/oauth/token')) {
+            onRequest(`[mock] POST ${path}`);
+            if (config.failToken) return respond(401, { error: 'invalid_client', error_description: 'Mock: invalid client credentials.' });
+            const accessToken = `mock-token-${tokenExpiry.size + 1}`;
+            tokenExpiry.set(accessToken, Date.now() + config.tokenTtlSeconds * 1000);
+            return respond(200, { access_token: accessToken, token_type: 'bearer', expires_in: config.tokenTtlSeconds });
+        }
+
+        if (/\/apps\/[^/]+\/purchases$/.test(path) && init.method === 'POST') {
+            onRequest(`[mock] POST ${path} (wrong endpoint for a batch)`);
+            return respond(404, { error: 'Mock: POST /purchases creates a single order; send batches to /purchases/mass_create' });
+        }
+
+        if ((/\/apps\/[^/]+\/purchases$/.test(path) && init.method === 'DELETE')
+            || (/\/apps\/[^/]+\/purchases\/mass_create$/.test(path) && init.method === 'POST')) {
+            purchaseRequests++;
+            const orderIds = (body.orders || []).map(order => order.order_id);
+            onRequest(`[mock] ${init.method} ${path} (${orderIds.length} orders)`);
+            if (!(Date.now() < tokenExpiry.get(body.utoken))) {
+                return respond(401, { error: 'Mock: uToken is invalid or has expired' });
+            }
+            const limitHeaders = config.rateLimitEvery > 0 ? {
+                'X-RateLimit-Limit': String(config.rateLimitEvery - 1),
+                'X-RateLimit-Remaining': String(config.rateLimitEvery - 1 - (purchaseRequests % config.rateLimitEvery)),
+                'X-RateLimit-Reset': String(config.retryAfterSeconds),
+            } : {};
+            if (config.rateLimitEvery > 0 && purchaseRequests % config.rateLimitEvery === 0) {
+                return respond(429, { error: 'Mock: rate limit exceeded' }, { ...limitHeaders, 'Retry-After': String(config.retryAfterSeconds), 'X-RateLimit-Remaining': '0' });
+            }
+            const rejected = rejectRegex ? orderIds.filter(id => rejectRegex.test(id)) : [];
+            if (rejected.length > 0) {
+                return respond(400, { error: `Mock: invalid order ${rejected[0]}` }, limitHeaders);
+            }
+            return respond(200, { status: { code: 200, message: 'OK' } }, limitHeaders);
+        }
+
+        onRequest(`[mock] ${init.method || 'GET'} ${path} (unknown endpoint)`);
+        return respond(404, { error: 'Mock: not found' });
+    };
+}
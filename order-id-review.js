@@ -0,0 +1,73 @@
+/**
+ * Stool - Order ID Review
+ * Cleans a pasted or imported list of order IDs before the Order Invalidator sends
+ * it: blank lines and repeats are dropped, surrounding whitespace and stray quotes
+ * are stripped, and IDs that look wrong (header text, inner spaces, anything not
+ * matching the expected pattern) are flagged so they can be left out.
+ * This file has no DOM access.
+ */
+
+// Headers the ID column of an imported CSV is detected by, in order of preference.
+const ORDER_ID_COLUMN_CANDIDATES = ['Order ID', 'order_id', 'Order Number', 'External Order ID', 'Order', 'ID'];
+
+// What a normal order ID looks like. Can be changed on the page for stores with unusual IDs.
+const DEFAULT_ORDER_ID_PATTERN = '^[A-Za-z0-9][A-Za-z0-9_.#/-]*$';
+
+// Cell text that is almost certainly a header row pasted along with the IDs.
+const HEADER_LIKE_ID = /^(order|order[\s_-]*(id|number|no\.?)|external[\s_-]*order[\s_-]*id|id)$/i;
+
+/**
+ * Reviews a list of order IDs.
+ * @param {string[]} lines - The raw lines (or CSV cells), one ID each.
+ * @param {Object} [options]
+ * @param {string} [options.pattern] - Regex source a valid ID must match. Defaults to DEFAULT_ORDER_ID_PATTERN.
+ * @param {function(string): ?string} [options.check] - An extra check, returning why an ID should be flagged.
+ * @returns {{orderIds: string[], flagged: Array<{id: string, reason: string}>, lineCount: number,
+ *   blankCount: number, cleanedCount: number, duplicateCount: number}}
+ *   orderIds holds every distinct cleaned ID in input order, flagged ones included;
+ *   flagged lists the suspicious ones with the reason. Throws if the pattern is not a valid regex.
+ */
+function reviewOrderIds(lines, options = {}) {
+    const pattern = new RegExp(options.pattern || DEFAULT_ORDER_ID_PATTERN);
+    const seen = new Set();
+    const result = { orderIds: [], flagged: [], lineCount: lines.length, blankCount: 0, cleanedCount: 0, duplicateCount: 0 };
+
+    lines.forEach(line => {
+        const raw = line === null || line === undefined ? '' : String(line);
+        const id = cleanOrderId(raw);
+        if (id === '') {
+            result.blankCount++;
+            return;
+        }
+        if (id !== raw) result.cleanedCount++;
+        if (seen.has(id)) {
+            result.duplicateCount++;
+            return;
+        }
+        seen.add(id);
+        result.orderIds.push(id);
+        const reason = suspiciousReason(id, pattern) || (options.check ? options.check(id) : null);
+        if (reason) result.flagged.push({ id, reason });
+    });
+    return result;
+}
+
+/**
+ * Trims an ID and strips quotes left around it by spreadsheets or copied JSON.
+ */
+function cleanOrderId(text) {
+    let id = text.trim();
+    while (/^["'`].*["'`]$/.test(id) && id.length >= 2) id = id.slice(1, -1).trim();
+    return id.replace(/^["'`]+|["'`,;]+$/g, '').trim();
+}
+
+/**
+ * @returns {?string} Why an ID looks wrong, or null if it looks fine.
+ */
+function suspiciousReason(id, pattern) {
+    if (HEADER_LIKE_ID.test(id)) return 'Looks like a header';
+    if (/["'`]/.test(id)) return 'Contains quotes';
+    if (/\s/.test(id)) return 'Contains whitespace';
+    if (!pattern.test(id)) return `Does not match ${pattern.source}`;
+    return null;
+}
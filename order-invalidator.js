@@ -1,295 +1,885 @@
-/**
- * Stool - Order Invalidator (Batch Processing Version)
- * This script handles a two-step process:
- * 1. Generates a uToken using an App Key and Secret Key.
- * 2. Uses the token to invalidate a list of Order IDs in batches of 2500.
- * Now with full drag-and-drop and start over support.
- */
-
-// --- 1. ELEMENT REFERENCES ---
-const csvFileInput = document.getElementById('csvFileInput');
-const fileNameSpan = document.getElementById('fileName');
-const fileDropZone = document.getElementById('fileDropZone');
-const filePrompt = document.getElementById('filePrompt');
-const orderIdsInput = document.getElementById('orderIdsInput');
-const appKeyInput = document.getElementById('appKeyInput');
-const secretKeyInput = document.getElementById('secretKeyInput');
-const invalidateBtn = document.getElementById('invalidateBtn');
-const startOverBtn = document.getElementById('startOverBtn');
-const progressArea = document.getElementById('progressArea');
-const progressBar = document.getElementById('progressBar');
-const progressText = document.getElementById('progressText');
-const etrText = document.getElementById('etrText');
-const logContainer = document.getElementById('logContainer');
-const logOutput = document.getElementById('logOutput');
-
-// --- 2. GLOBAL STATE & CONFIGURATION ---
-let isProcessing = false;
-let isCancelled = false;
-const BATCH_SIZE = 5000;
-
-// --- 3. EVENT LISTENERS ---
-invalidateBtn.addEventListener('click', handleInvalidationClick);
-startOverBtn.addEventListener('click', startOver);
-setupFileInput(csvFileInput, fileDropZone);
-
-
-/**
- * Handles the primary button click, starting or cancelling the process.
- */
-function handleInvalidationClick() {
-    if (isProcessing) {
-        isCancelled = true;
-        logToScreen('--- CANCELLATION REQUESTED ---', true);
-    } else {
-        startInvalidationProcess();
-    }
-}
-
-/**
- * Resets the entire interface to its initial state.
- */
-function startOver() {
-    isProcessing = false;
-    isCancelled = false;
-
-    // Reset file input UI
-    csvFileInput.value = '';
-    filePrompt.classList.remove('hidden');
-    fileNameSpan.classList.add('hidden');
-    fileNameSpan.textContent = '';
-
-    // Reset text inputs
-    orderIdsInput.value = '';
-    appKeyInput.value = '';
-    secretKeyInput.value = '';
-
-    // Reset controls
-    [appKeyInput, secretKeyInput, orderIdsInput, csvFileInput, invalidateBtn].forEach(el => el.disabled = false);
-    invalidateBtn.textContent = 'Generate Token & Start Invalidation';
-    invalidateBtn.classList.remove('btn-danger');
-
-    // Hide dynamic sections
-    progressArea.classList.add('hidden');
-    logContainer.classList.add('hidden');
-    logOutput.value = '';
-}
-
-/**
- * The main orchestrator function that runs the entire invalidation process.
- */
-async function startInvalidationProcess() {
-    const appKey = appKeyInput.value.trim();
-    const secretKey = secretKeyInput.value.trim();
-    const allOrderIds = orderIdsInput.value.trim().split('\n').map(id => id.trim()).filter(id => id !== '');
-
-    if (allOrderIds.length === 0) return alert('Please paste or import at least one Order ID.');
-    if (!appKey || !secretKey) return alert('Please provide both an App Key and a Secret Key.');
-
-    setupUIForProcessing(allOrderIds.length);
-
-    try {
-        const generatedUtoken = await generateUToken(appKey, secretKey);
-        await invalidateOrdersInBatches(generatedUtoken, appKey, allOrderIds);
-    } catch (error) {
-        logToScreen(`❌ CRITICAL ERROR: ${error.message}`, true);
-        logToScreen('Process stopped. Please check credentials and try again.');
-    } finally {
-        isProcessing = false;
-        invalidateBtn.textContent = 'Finished';
-        invalidateBtn.disabled = true;
-    }
-}
-
-/**
- * Step 1: Fetches the uToken from the API.
- * @returns {Promise<string>} The generated uToken.
- */
-async function generateUToken(appKey, secretKey) {
-    logToScreen('Step 1: Generating uToken...');
-    const endpoint = 'https://api.yotpo.com/oauth/token';
-    const response = await fetch(endpoint, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            grant_type: 'client_credentials',
-            client_id: appKey,
-            client_secret: secretKey,
-        }),
-    });
-
-    const data = await response.json();
-    if (!response.ok) {
-        throw new Error(`Token generation failed: ${data.error_description || response.statusText}`);
-    }
-    const uToken = data.access_token;
-    if (!uToken) {
-        throw new Error('Token not found in authentication response.');
-    }
-    logToScreen('✅ Step 1: Success! uToken generated.');
-    return uToken;
-}
-
-/**
- * Step 2: Splits IDs into chunks and invalidates them batch by batch.
- */
-async function invalidateOrdersInBatches(uToken, appKey, allOrderIds) {
-    logToScreen(`Step 2: Starting invalidation for ${allOrderIds.length} orders in batches of ${BATCH_SIZE}...`);
-    
-    const orderIdChunks = chunkArray(allOrderIds, BATCH_SIZE);
-    let totalSuccessCount = 0;
-    let totalFailCount = 0;
-    let processedIdCount = 0;
-    const totalIds = allOrderIds.length;
-    const startTime = Date.now();
-    const endpoint = `https://api.yotpo.com/apps/${appKey}/purchases`;
-
-    for (let i = 0; i < orderIdChunks.length; i++) {
-        if (isCancelled) {
-            logToScreen('Process cancelled by user.', true);
-            break;
-        }
-
-        const batch = orderIdChunks[i];
-        const batchNumber = i + 1;
-        logToScreen(`Processing Batch ${batchNumber}/${orderIdChunks.length}...`);
-
-        const ordersPayload = batch.map(id => ({ order_id: id }));
-
-        try {
-            const response = await fetch(endpoint, {
-                method: 'DELETE',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    utoken: uToken,
-                    orders: ordersPayload,
-                }),
-            });
-
-            if (response.status === 200 || response.status === 204) {
-                logToScreen(`✅ SUCCESS: Batch ${batchNumber} invalidated successfully.`);
-                totalSuccessCount += batch.length;
-            } else {
-                const errorData = await response.json().catch(() => ({}));
-                const errorMessage = errorData.error || errorData.status?.message || `HTTP ${response.status}`;
-                logToScreen(`FAILED: Batch ${batchNumber} - ${errorMessage}`, true);
-                totalFailCount += batch.length;
-            }
-        } catch (networkError) {
-            logToScreen(`FAILED: Batch ${batchNumber} - Network error: ${networkError.message}`, true);
-            totalFailCount += batch.length;
-        }
-        
-        processedIdCount += batch.length;
-        updateProgressUI(processedIdCount, totalIds, startTime);
-        await new Promise(resolve => setTimeout(resolve, 500)); // Rate limit between batches
-    }
-
-    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
-    logToScreen('--- PROCESSING COMPLETE ---');
-    logToScreen(`Summary: ${totalSuccessCount} succeeded, ${totalFailCount} failed.`);
-    logToScreen(`Total time: ${duration} seconds.`);
-}
-
-
-// --- 4. UI & UTILITY HELPER FUNCTIONS ---
-
-function setupFileInput(inputElement, dropZoneElement) {
-    inputElement.addEventListener('change', (e) => {
-        if (e.target.files.length) handleFile(e.target.files[0]);
-    });
-    ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
-        dropZoneElement.addEventListener(eventName, (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-        }, false);
-    });
-    ['dragenter', 'dragover'].forEach(eventName => {
-        dropZoneElement.addEventListener(eventName, () => dropZoneElement.classList.add('drop-zone--over'), false);
-    });
-    ['dragleave', 'drop'].forEach(eventName => {
-        dropZoneElement.addEventListener(eventName, () => dropZoneElement.classList.remove('drop-zone--over'), false);
-    });
-    dropZoneElement.addEventListener('drop', (e) => {
-        if (e.dataTransfer.files.length) {
-            inputElement.files = e.dataTransfer.files;
-            handleFile(e.dataTransfer.files[0]);
-        }
-    }, false);
-}
-
-function handleFile(file) {
-    if (!file || !file.type.match('text/csv')) {
-        return alert('Invalid file type. Please select a CSV file.');
-    }
-
-    filePrompt.classList.add('hidden');
-    fileNameSpan.classList.remove('hidden');
-    fileNameSpan.textContent = file.name;
-    
-    logOutput.value = '';
-    logContainer.classList.remove('hidden');
-    logToScreen(`Parsing ${file.name}...`);
-
-    Papa.parse(file, {
-        complete: (results) => {
-            const parsedOrderIds = results.data.slice(1).map(row => row[0]).filter(id => id && id.trim() !== '');
-            if (parsedOrderIds.length > 0) {
-                orderIdsInput.value = parsedOrderIds.join('\n');
-                logToScreen(`✅ Successfully imported ${parsedOrderIds.length} Order IDs.`);
-            } else {
-                logToScreen('Error: No valid Order IDs found in the CSV file.', true);
-            }
-        },
-        error: (error) => logToScreen(`CSV Parsing Error: ${error.message}`, true),
-    });
-}
-
-function chunkArray(array, size) {
-    const chunks = [];
-    for (let i = 0; i < array.length; i += size) {
-        chunks.push(array.slice(i, i + size));
-    }
-    return chunks;
-}
-
-function setupUIForProcessing(totalOrders) {
-    isProcessing = true;
-    isCancelled = false;
-    invalidateBtn.textContent = 'Cancel';
-    invalidateBtn.classList.add('btn-danger');
-    [appKeyInput, secretKeyInput, orderIdsInput, csvFileInput].forEach(el => el.disabled = true);
-    progressArea.classList.remove('hidden');
-    logContainer.classList.remove('hidden');
-    progressBar.style.width = '0%';
-    progressText.textContent = `0/${totalOrders} (0%)`;
-    etrText.textContent = 'Est. time remaining: N/A';
-    logOutput.value = '';
-    logToScreen(`Starting process for ${totalOrders} orders...`);
-}
-
-function updateProgressUI(current, total, startTime) {
-    const percentage = (current / total) * 100;
-    progressBar.style.width = `${percentage}%`;
-    progressText.textContent = `${current}/${total} (${Math.round(percentage)}%)`;
-    const elapsedTime = Date.now() - startTime;
-    const timePerItem = elapsedTime / current;
-    const etrMs = (total - current) * timePerItem;
-    etrText.textContent = `Est. time remaining: ${formatTime(etrMs)}`;
-}
-
-function logToScreen(message, isError = false) {
-    const timestamp = new Date().toLocaleTimeString();
-    logOutput.value += `[${timestamp}] ${message}\n`;
-    if (isError) console.error(message);
-    logOutput.scrollTop = logOutput.scrollHeight;
-}
-
-function formatTime(ms) {
-    if (ms < 0 || !isFinite(ms)) return 'N/A';
-    let seconds = Math.round(ms / 1000);
-    const minutes = Math.floor(seconds / 60);
-    seconds %= 60;
-    return `${minutes > 0 ? `${minutes}m ` : ''}${seconds}s`;
-
-}
+/**
+ * Stool - Order Invalidator (Batch Processing Version)
+ * This script handles a two-step process:
+ * 1. Generates a uToken using an App Key and Secret Key. The token is kept in memory
+ *    for the session, renewed before it expires and when the API rejects it.
+ * 2. Uses the token to invalidate a list of Order IDs in batches (up to 5000 orders each),
+ *    sending several batches at once at a pace set by the API's rate limits (order-scheduler.js).
+ * Now with full drag-and-drop and start over support.
+ * Every order's outcome is kept in a ledger (order-ledger.js): rate-limited and
+ * server errors are retried with backoff, rejected batches are split to find the
+ * bad IDs, and the ledger is saved so an interrupted run can be resumed.
+ * All requests go through order-api-client.js, which can also preview a run
+ * (dry run) or send it to a mock API instead of a real store.
+ * Before a new list is sent it is cleaned and reviewed (order-id-review.js), and
+ * a live run only starts once the user has typed the store's App Key to confirm.
+ * In re-import mode the same run recreates purchases from a CSV of order data
+ * (order-reimport.js), such as the results export of an earlier run.
+ * Credentials can be picked from encrypted store profiles (store-profiles.js).
+ */
+
+// --- 1. ELEMENT REFERENCES ---
+const operationSelect = document.getElementById('operationSelect');
+const csvFileInput = document.getElementById('csvFileInput');
+const fileNameSpan = document.getElementById('fileName');
+const fileDropZone = document.getElementById('fileDropZone');
+const filePrompt = document.getElementById('filePrompt');
+const orderIdsInput = document.getElementById('orderIdsInput');
+const appKeyInput = document.getElementById('appKeyInput');
+const secretKeyInput = document.getElementById('secretKeyInput');
+const invalidateBtn = document.getElementById('invalidateBtn');
+const startOverBtn = document.getElementById('startOverBtn');
+const progressArea = document.getElementById('progressArea');
+const progressBar = document.getElementById('progressBar');
+const progressText = document.getElementById('progressText');
+const etrText = document.getElementById('etrText');
+const logContainer = document.getElementById('logContainer');
+const logOutput = document.getElementById('logOutput');
+const resumeArea = document.getElementById('resumeArea');
+const resumeText = document.getElementById('resumeText');
+const resumeBtn = document.getElementById('resumeBtn');
+const discardRunBtn = document.getElementById('discardRunBtn');
+const ledgerArea = document.getElementById('ledgerArea');
+const ledgerSummary = document.getElementById('ledgerSummary');
+const downloadLedgerBtn = document.getElementById('downloadLedgerBtn');
+const retryFailedBtn = document.getElementById('retryFailedBtn');
+const runModeSelect = document.getElementById('runModeSelect');
+const baseUrlInput = document.getElementById('baseUrlInput');
+const mockOptions = document.getElementById('mockOptions');
+const mockFailTokenCheckbox = document.getElementById('mockFailToken');
+const mockRejectPatternInput = document.getElementById('mockRejectPattern');
+const mockRateLimitEveryInput = document.getElementById('mockRateLimitEvery');
+const mockTokenTtlInput = document.getElementById('mockTokenTtl');
+const dryRunArea = document.getElementById('dryRunArea');
+const dryRunOutput = document.getElementById('dryRunOutput');
+const idColumnGroup = document.getElementById('idColumnGroup');
+const idColumnSelect = document.getElementById('idColumnSelect');
+const idPatternInput = document.getElementById('idPatternInput');
+const excludeFlaggedCheckbox = document.getElementById('excludeFlagged');
+const reviewArea = document.getElementById('reviewArea');
+const reviewSummary = document.getElementById('reviewSummary');
+const flaggedArea = document.getElementById('flaggedArea');
+const flaggedTable = document.getElementById('flaggedTable');
+const confirmArea = document.getElementById('confirmArea');
+const confirmText = document.getElementById('confirmText');
+const confirmAppKeyInput = document.getElementById('confirmAppKeyInput');
+const confirmStartBtn = document.getElementById('confirmStartBtn');
+const cancelReviewBtn = document.getElementById('cancelReviewBtn');
+const batchSizeInput = document.getElementById('batchSizeInput');
+const concurrencyInput = document.getElementById('concurrencyInput');
+
+const fileZone = { input: csvFileInput, dropZone: fileDropZone, prompt: filePrompt, fileName: fileNameSpan };
+const logger = CsvTool.createLogger(logOutput);
+const logToScreen = logger.log;
+const profilePicker = StoreProfiles.setupPicker({ appKeyInput, secretKeyInput, onSelect: closeReview });
+
+// --- 2. GLOBAL STATE & CONFIGURATION ---
+let isProcessing = false;
+let isCancelled = false;
+let activeLedger = null; // The run in progress, or the last one finished
+let resumableLedger = null; // A saved run the user chose to resume
+let apiClient = createApiClient(); // Replaced at the start of every run to match the run mode
+let pendingReview = null; // The reviewed list waiting for confirmation
+let importedCsv = null; // {header, rows} of the last imported CSV, for switching the ID column
+let purchaseImport = null; // From buildPurchaseOrders, when re-importing the imported CSV
+let pacer = null; // Paces the requests of the run in progress
+let tokenManager = null; // Holds this session's uToken in memory; never saved
+const MAX_BATCH_SIZE = 5000; // The most orders the API accepts in one request
+const MAX_CONCURRENCY = 8;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000; // Doubled on every retry unless the API sends Retry-After
+const SPLITTABLE_STATUSES = [400, 422]; // The API rejected the batch's data, so halves of it may go through
+const LEDGER_STORAGE_KEY = 'stool.orderInvalidator.ledger';
+
+// --- 3. EVENT LISTENERS ---
+invalidateBtn.addEventListener('click', handleInvalidationClick);
+startOverBtn.addEventListener('click', startOver);
+CsvTool.setupDropZone(fileZone, handleFile);
+resumeBtn.addEventListener('click', resumeSavedRun);
+discardRunBtn.addEventListener('click', discardSavedRun);
+downloadLedgerBtn.addEventListener('click', () => {
+    if (activeLedger) CsvTool.downloadCsv(ledgerReportRows(activeLedger), `${isReimport(activeLedger) ? 'reimport' : 'invalidation'}_results.csv`);
+});
+retryFailedBtn.addEventListener('click', () => startInvalidationProcess(true));
+runModeSelect.addEventListener('change', () => {
+    showRunModeOptions();
+    closeReview();
+});
+idColumnSelect.addEventListener('change', importIdColumn);
+operationSelect.addEventListener('change', () => {
+    orderIdsInput.readOnly = operationSelect.value === 'reimport';
+    showRunModeOptions();
+    if (importedCsv) {
+        importIdColumn();
+    } else {
+        orderIdsInput.value = '';
+        closeReview();
+    }
+});
+[orderIdsInput, appKeyInput, idPatternInput].forEach(el => el.addEventListener('input', closeReview));
+excludeFlaggedCheckbox.addEventListener('change', () => {
+    if (pendingReview) renderReview(pendingReview);
+});
+confirmAppKeyInput.addEventListener('input', updateConfirmButton);
+confirmStartBtn.addEventListener('click', () => startInvalidationProcess());
+cancelReviewBtn.addEventListener('click', closeReview);
+
+idPatternInput.value = DEFAULT_ORDER_ID_PATTERN;
+showSavedRun();
+
+
+/**
+ * Handles the primary button click, starting or cancelling the process.
+ */
+function handleInvalidationClick() {
+    if (isProcessing) {
+        isCancelled = true;
+        if (pacer) pacer.cancel();
+        invalidateBtn.disabled = true;
+        logToScreen('--- CANCELLATION REQUESTED --- Waiting for requests already sent to finish...', true);
+    } else if (runModeSelect.value === 'dry-run') {
+        runDryRun();
+    } else if (resumableLedger) {
+        startInvalidationProcess();
+    } else {
+        showPreflightReview();
+    }
+}
+
+/**
+ * Resets the entire interface to its initial state.
+ */
+function startOver() {
+    isProcessing = false;
+    isCancelled = false;
+
+    // Reset file input UI
+    CsvTool.resetDropZone(fileZone);
+    importedCsv = null;
+    purchaseImport = null;
+    idColumnGroup.classList.add('hidden');
+
+    // Reset text inputs
+    orderIdsInput.value = '';
+    appKeyInput.value = '';
+    secretKeyInput.value = '';
+    profilePicker.apply(); // Keys of the picked store profile survive Start Over
+    profilePicker.setDisabled(false);
+    idPatternInput.value = DEFAULT_ORDER_ID_PATTERN;
+    excludeFlaggedCheckbox.checked = true;
+
+    // Reset controls
+    operationSelect.value = 'invalidate';
+    orderIdsInput.readOnly = false;
+    [operationSelect, appKeyInput, secretKeyInput, orderIdsInput, csvFileInput, invalidateBtn, runModeSelect, baseUrlInput, idColumnSelect, idPatternInput, excludeFlaggedCheckbox, batchSizeInput, concurrencyInput].forEach(el => el.disabled = false);
+    invalidateBtn.classList.remove('btn-danger');
+    showRunModeOptions();
+
+    // Hide dynamic sections
+    closeReview();
+    progressArea.classList.add('hidden');
+    dryRunArea.classList.add('hidden');
+    logContainer.classList.add('hidden');
+    ledgerArea.classList.add('hidden');
+    logger.clear();
+
+    // Forget the session's uToken along with the credentials
+    tokenManager = null;
+
+    // A saved, unfinished run survives Start Over; offer it again
+    activeLedger = null;
+    resumableLedger = null;
+    showSavedRun();
+}
+
+/**
+ * The main orchestrator function that runs the entire invalidation process.
+ * @param {boolean} [retryFailed] - Resend only the failed orders of the last run.
+ */
+async function startInvalidationProcess(retryFailed = false) {
+    const appKey = appKeyInput.value.trim();
+    const secretKey = secretKeyInput.value.trim();
+    const mode = runModeSelect.value;
+    if (!appKey || !secretKey) return alert('Please provide both an App Key and a Secret Key.');
+    const settings = readBatchSettings();
+    if (!settings) return;
+
+    let ledger;
+    let review = null;
+    if (retryFailed || resumableLedger) {
+        ledger = retryFailed ? activeLedger : resumableLedger;
+        if (ledger.meta.appKey !== appKey) {
+            return alert(`This run was started for App Key "${ledger.meta.appKey}". Use that App Key, or start over with a new list.`);
+        }
+        if ((ledger.meta.mode || 'live') !== mode) {
+            return alert(`This run was started in ${ledger.meta.mode || 'live'} mode. Switch back to it to continue the run.`);
+        }
+        // Resuming a saved live run is confirmed by typing the App Key, like a new run
+        if (!retryFailed && mode === 'live' && confirmAppKeyInput.value.trim() !== appKey) return showResumeConfirmation();
+        markOrders(ledger, ordersWithStatus(ledger, ORDER_STATUS.FAILED), ORDER_STATUS.PENDING);
+    } else {
+        if (!pendingReview) return showPreflightReview();
+        if (mode === 'live' && confirmAppKeyInput.value.trim() !== appKey) {
+            return alert('Type the App Key exactly as entered above to confirm.');
+        }
+        review = pendingReview;
+        ledger = createLedger(ordersToSend(review), { appKey, mode, operation: operationSelect.value });
+        attachSourceDetails(ledger);
+    }
+    try {
+        apiClient = createClientForRun(mode);
+    } catch (error) {
+        return alert(error.message);
+    }
+    activeLedger = ledger;
+    resumableLedger = null;
+    closeReview();
+    resumeArea.classList.add('hidden');
+    ledgerArea.classList.add('hidden');
+    dryRunArea.classList.add('hidden');
+
+    setupUIForProcessing(ordersWithStatus(ledger, ORDER_STATUS.PENDING).length);
+    if (mode === 'mock') logToScreen('MOCK MODE: requests are answered in the browser; no store is touched.');
+    else if (apiClient.baseUrl !== DEFAULT_API_BASE_URL) logToScreen(`Using API base URL ${apiClient.baseUrl}.`);
+    if (review) logReviewSummary(review);
+    saveLedger(ledger);
+
+    try {
+        const tokens = tokenManagerFor(appKey, secretKey, mode);
+        await generateUToken(tokens);
+        await invalidateOrdersInBatches(tokens, appKey, ledger, settings);
+    } catch (error) {
+        logToScreen(`❌ CRITICAL ERROR: ${error.message}`, true);
+        logToScreen('Process stopped. Please check credentials and try again.');
+    } finally {
+        isProcessing = false;
+        invalidateBtn.textContent = 'Finished';
+        invalidateBtn.disabled = true;
+        saveLedger(ledger);
+        renderLedgerSummary(ledger);
+    }
+}
+
+/**
+ * Builds the API client for a live or mock run from the run mode options.
+ * Throws if the options are invalid.
+ */
+function createClientForRun(mode) {
+    const baseUrl = baseUrlInput.value.trim() || DEFAULT_API_BASE_URL;
+    if (!/^https?:\/\/\S+$/i.test(baseUrl)) {
+        throw new Error(`"${baseUrl}" is not a valid API base URL.`);
+    }
+    if (mode !== 'mock') return createApiClient({ baseUrl });
+
+    const rejectPattern = mockRejectPatternInput.value.trim();
+    try {
+        new RegExp(rejectPattern);
+    } catch (e) {
+        throw new Error(`Invalid mock reject pattern: ${e.message}`);
+    }
+    return createApiClient({
+        baseUrl,
+        fetch: createMockFetch({
+            failToken: mockFailTokenCheckbox.checked,
+            rejectPattern,
+            rateLimitEvery: parseInt(mockRateLimitEveryInput.value, 10) || 0,
+            tokenTtlSeconds: parseInt(mockTokenTtlInput.value, 10) || DEFAULT_MOCK_OPTIONS.tokenTtlSeconds,
+        }, (line) => logToScreen(line)),
+    });
+}
+
+/**
+ * Reviews the Order IDs and shows every request a live run would send, without
+ * requesting a token or sending anything.
+ */
+function runDryRun() {
+    const review = reviewInputIds();
+    const settings = readBatchSettings();
+    if (!review || !settings) return;
+
+    const appKey = appKeyInput.value.trim() || '{appKey}';
+    let client;
+    try {
+        client = createClientForRun('live');
+    } catch (error) {
+        return alert(error.message);
+    }
+    const orderIds = ordersToSend(review);
+    const batches = chunkArray(orderIds, settings.batchSize);
+
+    renderReview(review);
+    confirmArea.classList.add('hidden');
+    reviewArea.classList.remove('hidden');
+    dryRunOutput.value = batches.map((batch, i) => {
+        const request = operationSelect.value === 'reimport'
+            ? client.describeCreatePurchases(appKey, '{uToken}', batch.map(id => purchaseImport.orders.get(id)))
+            : client.describeDeletePurchases(appKey, '{uToken}', batch);
+        return `# Batch ${i + 1}/${batches.length} (${batch.length} orders)\n${request.method} ${request.url}\n${JSON.stringify(request.body)}`;
+    }).join('\n\n');
+    dryRunArea.classList.remove('hidden');
+
+    logger.clear();
+    logContainer.classList.remove('hidden');
+    logReviewSummary(review);
+    logToScreen(`DRY RUN: ${orderIds.length} orders would be sent in ${batches.length} batches of up to ${settings.batchSize}. Nothing was sent.`);
+}
+
+/**
+ * Reviews the list about to be sent and asks for confirmation. A live run can
+ * only be started by typing the App Key the orders will be deleted from.
+ */
+function showPreflightReview() {
+    const appKey = appKeyInput.value.trim();
+    if (!appKey || !secretKeyInput.value.trim()) return alert('Please provide both an App Key and a Secret Key.');
+    const review = reviewInputIds();
+    if (!review || !readBatchSettings()) return;
+
+    pendingReview = review;
+    dryRunArea.classList.add('hidden');
+    renderReview(review);
+    confirmAppKeyInput.value = '';
+    confirmAppKeyInput.classList.toggle('hidden', runModeSelect.value !== 'live');
+    confirmArea.classList.remove('hidden');
+    reviewArea.classList.remove('hidden');
+    updateConfirmButton();
+    if (runModeSelect.value === 'live') confirmAppKeyInput.focus();
+}
+
+/**
+ * Asks for the App Key before a saved live run is resumed, showing how many of its
+ * orders are left. The saved list was reviewed when the run first started.
+ */
+function showResumeConfirmation() {
+    const sendCount = confirmSendCount();
+    closeReview();
+    dryRunArea.classList.add('hidden');
+    reviewSummary.innerHTML = '';
+    CsvTool.renderStatCard(reviewSummary, 'Orders to send', sendCount);
+    flaggedArea.classList.add('hidden');
+    confirmText.textContent = `${sendCount} orders of the saved run will be permanently invalidated${selectedStoreText()}. This cannot be undone. Type the App Key "${appKeyInput.value.trim()}" to confirm.`;
+    confirmStartBtn.textContent = `Resume: Invalidate ${sendCount} Orders`;
+    confirmAppKeyInput.classList.remove('hidden');
+    confirmArea.classList.remove('hidden');
+    reviewArea.classList.remove('hidden');
+    updateConfirmButton();
+    confirmAppKeyInput.focus();
+}
+
+/**
+ * Runs reviewOrderIds on the text box, alerting instead if there is nothing to send.
+ * @returns {?Object} The review, or null.
+ */
+function reviewInputIds() {
+    let check = null;
+    if (operationSelect.value === 'reimport') {
+        if (!purchaseImport) {
+            alert('Please import a CSV of order data to re-import.');
+            return null;
+        }
+        check = (id) => (purchaseImport.orders.has(id) ? purchaseImport.problems.get(id) || null : 'No order data in the CSV');
+    }
+    let review;
+    try {
+        review = reviewOrderIds(orderIdsInput.value.split('\n'), { pattern: idPatternInput.value.trim(), check });
+    } catch (error) {
+        alert(`Invalid ID pattern: ${error.message}`);
+        return null;
+    }
+    if (review.orderIds.length === 0) {
+        alert('Please paste or import at least one Order ID.');
+        return null;
+    }
+    return review;
+}
+
+/**
+ * The reviewed IDs that will actually be sent. When re-importing, orders without
+ * complete data in the CSV are never sent, whether or not flagged IDs are left out.
+ */
+function ordersToSend(review) {
+    let orderIds = review.orderIds;
+    if (operationSelect.value === 'reimport') {
+        orderIds = orderIds.filter(id => purchaseImport.orders.has(id) && !purchaseImport.problems.has(id));
+    }
+    if (!excludeFlaggedCheckbox.checked) return orderIds;
+    const flagged = new Set(review.flagged.map(item => item.id));
+    return orderIds.filter(id => !flagged.has(id));
+}
+
+function renderReview(review) {
+    const sendCount = ordersToSend(review).length;
+    reviewSummary.innerHTML = '';
+    [
+        ['Lines', review.lineCount],
+        ['Blank lines skipped', review.blankCount],
+        ['Spaces/quotes stripped', review.cleanedCount],
+        ['Duplicates removed', review.duplicateCount],
+        ['Flagged', review.flagged.length],
+        ['Orders to send', sendCount],
+    ].forEach(([label, value]) => CsvTool.renderStatCard(reviewSummary, label, value));
+    const reimport = operationSelect.value === 'reimport';
+    const store = selectedStoreText();
+
+    flaggedArea.classList.toggle('hidden', review.flagged.length === 0);
+    CsvTool.renderTable(flaggedTable, [['Order ID', 'Reason'], ...review.flagged.map(item => [item.id, item.reason])]);
+
+    const mode = runModeSelect.value;
+    if (mode !== 'live') {
+        confirmText.textContent = `${sendCount} orders will be sent to the mock API. No store is touched.`;
+    } else if (reimport) {
+        confirmText.textContent = `${sendCount} orders will be created again${store}. Type the App Key "${appKeyInput.value.trim()}" to confirm.`;
+    } else {
+        confirmText.textContent = `${sendCount} orders will be permanently invalidated${store}. This cannot be undone. Type the App Key "${appKeyInput.value.trim()}" to confirm.`;
+    }
+    confirmStartBtn.textContent = mode === 'live'
+        ? `${reimport ? 'Re-import' : 'Invalidate'} ${sendCount} Orders`
+        : `Start Mock ${reimport ? 'Re-import' : 'Invalidation'}`;
+    updateConfirmButton();
+}
+
+function updateConfirmButton() {
+    const confirmed = runModeSelect.value !== 'live' || confirmAppKeyInput.value.trim() === appKeyInput.value.trim();
+    confirmStartBtn.disabled = !confirmed || confirmSendCount() === 0;
+}
+
+/**
+ * How many orders the confirm button would send: those of the reviewed list, or
+ * the ones left in the saved run being resumed.
+ */
+function confirmSendCount() {
+    if (pendingReview) return ordersToSend(pendingReview).length;
+    return resumableLedger ? ordersWithStatus(resumableLedger, ORDER_STATUS.PENDING, ORDER_STATUS.FAILED).length : 0;
+}
+
+/**
+ * Names the picked store profile for the confirmation text, e.g. " in Demo Store (Staging)".
+ */
+function selectedStoreText() {
+    const profile = profilePicker.selected();
+    return profile ? ` in ${profile.label} (${StoreProfiles.ENVIRONMENTS[profile.environment]})` : '';
+}
+
+function closeReview() {
+    pendingReview = null;
+    reviewArea.classList.add('hidden');
+    confirmAppKeyInput.value = '';
+}
+
+function logReviewSummary(review) {
+    const excluded = review.orderIds.length - ordersToSend(review).length;
+    logToScreen(`Reviewed ${review.lineCount} lines: ${review.blankCount} blank, ${review.duplicateCount} duplicates removed, `
+        + `${review.cleanedCount} cleaned of spaces or quotes, ${review.flagged.length} flagged${excluded > 0 ? ` (${excluded} left out)` : ''}.`);
+}
+
+/**
+ * Returns the session's token manager, replacing it when the credentials or base
+ * URL changed. Mock runs always start with a fresh one, as each has its own mock API.
+ */
+function tokenManagerFor(appKey, secretKey, mode) {
+    if (mode !== 'live' || !tokenManager || !tokenManager.matches(apiClient, appKey, secretKey)) {
+        tokenManager = createTokenManager(apiClient, appKey, secretKey, (line) => logToScreen(line));
+    }
+    return tokenManager;
+}
+
+/**
+ * Step 1: Makes sure there is a valid uToken before any batch is sent, so bad
+ * credentials stop the run up front.
+ */
+async function generateUToken(tokens) {
+    logToScreen('Step 1: Generating uToken...');
+    const reused = tokens.hasFreshToken();
+    await tokens.getToken();
+    const expiresAt = tokens.expiresAt();
+    const validUntil = expiresAt ? ` It is valid until ${new Date(expiresAt).toLocaleString()}.` : '';
+    logToScreen(reused ? `✅ Step 1: Reusing this session's uToken.${validUntil}` : `✅ Step 1: Success! uToken generated.${validUntil}`);
+}
+
+/**
+ * Step 2: Splits the pending IDs into chunks and sends up to settings.concurrency
+ * of them at once, saving the ledger after every batch. On cancel, no new batch is
+ * started and the requests already sent are waited for.
+ * @param {{batchSize: number, concurrency: number}} settings - From readBatchSettings.
+ */
+async function invalidateOrdersInBatches(tokens, appKey, ledger, settings) {
+    const allOrderIds = ordersWithStatus(ledger, ORDER_STATUS.PENDING);
+    logToScreen(`Step 2: Starting ${isReimport(ledger) ? 're-import' : 'invalidation'} for ${allOrderIds.length} orders in batches of ${settings.batchSize}, ${settings.concurrency} at a time...`);
+
+    const orderIdChunks = chunkArray(allOrderIds, settings.batchSize);
+    let processedIdCount = 0;
+    const totalIds = allOrderIds.length;
+    const startTime = Date.now();
+    const meter = createThroughputMeter();
+    pacer = createRequestPacer();
+
+    await runConcurrently(orderIdChunks, settings.concurrency, async (batch, i) => {
+        const batchNumber = i + 1;
+        logToScreen(`Processing Batch ${batchNumber}/${orderIdChunks.length}...`);
+        const settledCount = await processBatch(appKey, tokens, batch, ledger, `Batch ${batchNumber}`);
+        saveLedger(ledger);
+        if (settledCount === 0) return; // Cancelled before it was sent
+
+        processedIdCount += settledCount;
+        meter.record(settledCount);
+        updateProgressUI(processedIdCount, totalIds, meter);
+    }, () => isCancelled);
+    pacer = null;
+
+    if (isCancelled) {
+        const resumable = (ledger.meta.mode || 'live') === 'live' ? ' The remaining orders are saved and can be resumed.' : '';
+        logToScreen(`Process stopped.${resumable}`, true);
+    }
+    const counts = ledgerCounts(ledger);
+    const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+    logToScreen('--- PROCESSING COMPLETE ---');
+    logToScreen(`Summary: ${counts.succeeded} succeeded, ${counts.failed} failed, ${counts.pending} not sent.`);
+    logToScreen(`Total time: ${duration} seconds.`);
+}
+
+/**
+ * Sends one batch and records the outcome of each of its orders. A batch the API
+ * rejects for its data (400 or 422) is split in half and each half sent again, until
+ * the IDs it rejects are isolated. Any other client error (e.g. 403 or 404) would
+ * fail every batch alike, so it stops the run; rate limits and server errors are retried.
+ * @param {string} label - Names the batch in the log, e.g. "Batch 3" or "Batch 3.2.1".
+ * @returns {Promise<number>} How many of the orders were sent and marked succeeded or
+ *   failed; those of a batch cancelled before it was sent stay pending and are not counted.
+ */
+async function processBatch(appKey, tokens, orderIds, ledger, label) {
+    const outcome = await sendWithRetry(appKey, tokens, orderIds, ledger, label);
+    if (!outcome) return 0; // Cancelled before it was sent; the orders stay pending
+    if (outcome.ok) {
+        markOrders(ledger, orderIds, ORDER_STATUS.SUCCEEDED);
+        logToScreen(`✅ SUCCESS: ${label} ${isReimport(ledger) ? 're-imported' : 'invalidated'} successfully (${orderIds.length} orders).`);
+        return orderIds.length;
+    }
+    if (!outcome.retryable && !SPLITTABLE_STATUSES.includes(outcome.status) && outcome.status !== 401) {
+        stopRun(`The API rejected ${label} (${outcome.error}).`);
+    }
+    if (!SPLITTABLE_STATUSES.includes(outcome.status) || orderIds.length === 1) {
+        markOrders(ledger, orderIds, ORDER_STATUS.FAILED, outcome.error);
+        logToScreen(`FAILED: ${label} - ${outcome.error}${orderIds.length === 1 ? ` (Order ID ${orderIds[0]})` : ''}`, true);
+        return orderIds.length;
+    }
+    if (isCancelled) return 0; // Leave the orders pending for a resumed run
+
+    logToScreen(`${label} was rejected (${outcome.error}). Splitting its ${orderIds.length} orders to find the bad IDs...`, true);
+    const middle = Math.ceil(orderIds.length / 2);
+    const firstCount = await processBatch(appKey, tokens, orderIds.slice(0, middle), ledger, `${label}.1`);
+    return firstCount + await processBatch(appKey, tokens, orderIds.slice(middle), ledger, `${label}.2`);
+}
+
+/**
+ * Sends a batch when the pacer allows, retrying with exponential backoff while the
+ * API answers with a rate limit (429), a server error (5xx) or the request fails on
+ * the network. A 429 pauses every batch of the run, not just this one. A batch whose
+ * uToken is rejected (401) is resent once with a new token; if that fails too, or
+ * no token can be had, the run is stopped.
+ * @returns {Promise<?Object>} The last outcome from apiClient.deletePurchases, or
+ *   null if the run was stopped before the batch was sent.
+ */
+async function sendWithRetry(appKey, tokens, orderIds, ledger, label) {
+    let reauthenticated = false;
+    for (let attempt = 0; ; attempt++) {
+        if (!(await pacer.waitTurn())) return null;
+        let uToken;
+        try {
+            uToken = await tokens.getToken();
+        } catch (error) {
+            stopRun(error.message);
+            return null;
+        }
+        recordAttempt(ledger, orderIds);
+        const outcome = isReimport(ledger)
+            ? await apiClient.createPurchases(appKey, uToken, orderIds.map(id => ledger.purchases.get(id)))
+            : await apiClient.deletePurchases(appKey, uToken, orderIds);
+        pacer.observe(outcome);
+        if (outcome.status === 401 && !isCancelled) {
+            if (reauthenticated) {
+                stopRun(`The API rejected a newly generated uToken (${outcome.error}).`);
+                return outcome;
+            }
+            reauthenticated = true;
+            tokens.invalidate(uToken);
+            logToScreen(`${label}: uToken was rejected (${outcome.error}). Re-authenticating and resending...`, true);
+            attempt--; // Not counted as a retry: the batch itself was not at fault
+            continue;
+        }
+        if (outcome.ok || !outcome.retryable || attempt >= MAX_RETRIES || isCancelled) return outcome;
+
+        const delay = outcome.retryAfterMs ?? RETRY_BASE_DELAY_MS * 2 ** attempt;
+        logToScreen(`${label}: ${outcome.error}. Retrying in ${formatTime(delay)} (retry ${attempt + 1}/${MAX_RETRIES})...`, true);
+        if (outcome.status === 429) {
+            pacer.pause(delay);
+        } else {
+            await sleep(delay);
+        }
+    }
+}
+
+/**
+ * Stops the run after an authentication failure. Batches already sent finish;
+ * unsent orders stay pending so the run can be resumed or retried.
+ */
+function stopRun(reason) {
+    if (!isCancelled) logToScreen(`❌ CRITICAL ERROR: ${reason} Stopping the run. Please check credentials and try again.`, true);
+    isCancelled = true;
+    if (pacer) pacer.cancel();
+}
+
+/**
+ * Saves the ledger so the run can be resumed after a cancel, crash or closed tab.
+ * A run with nothing left to send is removed instead.
+ */
+function saveLedger(ledger) {
+    // Mock runs are never resumed, nor are re-imports, whose order data is not saved
+    if ((ledger.meta.mode || 'live') !== 'live' || isReimport(ledger)) return;
+    const counts = ledgerCounts(ledger);
+    try {
+        if (counts.pending + counts.failed === 0) {
+            localStorage.removeItem(LEDGER_STORAGE_KEY);
+        } else {
+            localStorage.setItem(LEDGER_STORAGE_KEY, serializeLedger(ledger));
+        }
+    } catch (e) {
+        logToScreen(`Warning: Could not save progress for resuming (${e.message}).`, true);
+    }
+}
+
+/**
+ * Offers to resume a saved run that still has orders to send.
+ */
+function showSavedRun() {
+    const saved = deserializeLedger(localStorage.getItem(LEDGER_STORAGE_KEY));
+    if (!saved) return;
+    const counts = ledgerCounts(saved);
+    resumeText.textContent = `A run started ${new Date(saved.meta.createdAt).toLocaleString()} for App Key "${saved.meta.appKey}" did not finish: `
+        + `${counts.succeeded} of ${counts.total} orders succeeded, ${counts.failed} failed and ${counts.pending} were not sent.`;
+    resumeArea.classList.remove('hidden');
+}
+
+/**
+ * Loads the saved run; starting the process then sends only its unfinished orders.
+ */
+function resumeSavedRun() {
+    resumableLedger = deserializeLedger(localStorage.getItem(LEDGER_STORAGE_KEY));
+    if (!resumableLedger) return;
+    closeReview();
+    const remaining = ordersWithStatus(resumableLedger, ORDER_STATUS.PENDING, ORDER_STATUS.FAILED);
+    appKeyInput.value = resumableLedger.meta.appKey;
+    operationSelect.value = 'invalidate';
+    orderIdsInput.readOnly = false;
+    runModeSelect.value = 'live';
+    showRunModeOptions();
+    orderIdsInput.value = remaining.join('\n');
+    orderIdsInput.disabled = true;
+    csvFileInput.disabled = true;
+    resumeArea.classList.add('hidden');
+    logContainer.classList.remove('hidden');
+    logToScreen(`Resuming saved run: ${remaining.length} orders left to send. Enter the Secret Key and confirm the App Key to continue.`);
+}
+
+function discardSavedRun() {
+    if (!confirm('Discard the saved run? Its unfinished orders will no longer be resumable.')) return;
+    localStorage.removeItem(LEDGER_STORAGE_KEY);
+    resumeArea.classList.add('hidden');
+}
+
+/**
+ * Shows the per-order totals of a finished run with its export and retry buttons.
+ */
+function renderLedgerSummary(ledger) {
+    const counts = ledgerCounts(ledger);
+    ledgerSummary.innerHTML = '';
+    [
+        ['Orders', counts.total],
+        ['Succeeded', counts.succeeded],
+        ['Failed', counts.failed],
+        ['Not sent', counts.pending],
+    ].forEach(([label, value]) => CsvTool.renderStatCard(ledgerSummary, label, value));
+    retryFailedBtn.disabled = counts.failed === 0;
+    ledgerArea.classList.remove('hidden');
+}
+
+
+// --- 4. UI & UTILITY HELPER FUNCTIONS ---
+
+/**
+ * Imports Order IDs from a CSV. The first row is the header; the ID column is
+ * detected from it and can be changed with the column picker.
+ */
+async function handleFile(file) {
+    logger.clear();
+    logContainer.classList.remove('hidden');
+    closeReview();
+    logToScreen(`Parsing ${file.name}...`);
+
+    try {
+        const results = await CsvTool.parseCsv(file);
+        const [header = [], ...rows] = results.data;
+        importedCsv = { header, rows };
+
+        idColumnSelect.innerHTML = '';
+        header.forEach((name, index) => idColumnSelect.add(new Option(name || `Column ${index + 1}`, index)));
+        const detected = CsvTool.detectColumn(header, ORDER_ID_COLUMN_CANDIDATES);
+        idColumnSelect.value = Math.max(detected, 0);
+        idColumnGroup.classList.toggle('hidden', header.length < 2);
+        if (detected === -1) {
+            logToScreen(`Warning: Could not detect the Order ID column; using "${header[0]}". Pick the right column if this is wrong.`, true);
+        }
+        importIdColumn();
+    } catch (error) {
+        logToScreen(`CSV Parsing Error: ${error.message}`, true);
+    }
+}
+
+/**
+ * Fills the text box from the chosen column of the imported CSV.
+ */
+function importIdColumn() {
+    if (!importedCsv) return;
+    const column = parseInt(idColumnSelect.value, 10);
+    closeReview();
+    purchaseImport = null;
+    if (operationSelect.value === 'reimport') return importPurchaseOrders(column);
+
+    const parsedOrderIds = importedCsv.rows.map(row => row[column]).filter(id => id && id.trim() !== '');
+    if (parsedOrderIds.length > 0) {
+        orderIdsInput.value = parsedOrderIds.join('\n');
+        logToScreen(`✅ Successfully imported ${parsedOrderIds.length} Order IDs from column "${importedCsv.header[column]}".`);
+    } else {
+        orderIdsInput.value = '';
+        logToScreen(`Error: No Order IDs found in column "${importedCsv.header[column]}".`, true);
+    }
+}
+
+/**
+ * Reads the batch size and concurrency, alerting if either is out of range.
+ * @returns {?{batchSize: number, concurrency: number}}
+ */
+function readBatchSettings() {
+    const batchSize = Number(batchSizeInput.value);
+    const concurrency = Number(concurrencyInput.value);
+    if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_BATCH_SIZE) {
+        alert(`Batch size must be a whole number from 1 to ${MAX_BATCH_SIZE}.`);
+        return null;
+    }
+    if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+        alert(`Concurrent batches must be a whole number from 1 to ${MAX_CONCURRENCY}.`);
+        return null;
+    }
+    return { batchSize, concurrency };
+}
+
+/**
+ * Builds the purchases to re-import from the imported CSV, with the chosen column
+ * as the order ID and every other field detected by its header.
+ */
+function importPurchaseOrders(idColumn) {
+    const { header, rows } = importedCsv;
+    const isResultsExport = RESULTS_EXPORT_COLUMNS.every(name => header.includes(name));
+    const columns = { orderId: idColumn, status: isResultsExport ? header.indexOf('Status') : -1 };
+    Object.keys(ORDER_DATA_COLUMN_CANDIDATES).forEach(field => {
+        columns[field] = CsvTool.detectColumn(header, ORDER_DATA_COLUMN_CANDIDATES[field]);
+    });
+    purchaseImport = buildPurchaseOrders(rows, columns);
+
+    const detected = Object.keys(ORDER_DATA_COLUMN_CANDIDATES).filter(field => columns[field] !== -1);
+    logToScreen(`Order data columns: ${detected.map(field => `${orderFieldLabel(field)} = "${header[columns[field]]}"`).join(', ') || '(none)'}.`);
+    const missing = REQUIRED_ORDER_FIELDS.filter(field => columns[field] === -1);
+    if (missing.length > 0) {
+        logToScreen(`Error: No ${missing.map(orderFieldLabel).join(', ')} column found. Orders can't be re-imported without it.`, true);
+    }
+    if (isResultsExport) {
+        logToScreen(`Results export detected: only orders that run invalidated are re-imported (${purchaseImport.skippedCount} other rows skipped).`);
+    }
+
+    orderIdsInput.value = Array.from(purchaseImport.orders.keys()).join('\n');
+    if (purchaseImport.orders.size === 0) {
+        logToScreen(`Error: No orders to re-import found in column "${header[idColumn]}".`, true);
+    } else {
+        const problemText = purchaseImport.problems.size > 0 ? ` (${purchaseImport.problems.size} with incomplete data)` : '';
+        logToScreen(`✅ Loaded ${purchaseImport.orders.size} orders to re-import${problemText}.`);
+    }
+}
+
+/**
+ * Keeps the imported CSV's rows with the ledger, so the results export carries the
+ * order data and can be fed back in to re-import. A re-import also keeps its purchases
+ * for retries.
+ */
+function attachSourceDetails(ledger) {
+    if (isReimport(ledger)) ledger.purchases = purchaseImport.orders;
+    if (!importedCsv) return;
+
+    const idColumn = parseInt(idColumnSelect.value, 10);
+    const keep = importedCsv.header.map((name, index) => index !== idColumn && !LEDGER_REPORT_HEADER.includes(name));
+    const rows = new Map();
+    importedCsv.rows.forEach(row => {
+        const id = cleanOrderId(String(row[idColumn] ?? ''));
+        if (!ledger.entries.has(id)) return;
+        if (!rows.has(id)) rows.set(id, []);
+        rows.get(id).push(row.filter((_, index) => keep[index]));
+    });
+    ledger.details = { header: importedCsv.header.filter((_, index) => keep[index]), rows };
+}
+
+function isReimport(ledger) {
+    return ledger.meta.operation === 'reimport';
+}
+
+function chunkArray(array, size) {
+    const chunks = [];
+    for (let i = 0; i < array.length; i += size) {
+        chunks.push(array.slice(i, i + size));
+    }
+    return chunks;
+}
+
+function showRunModeOptions() {
+    const mode = runModeSelect.value;
+    const action = operationSelect.value === 'reimport' ? 'Re-import' : 'Invalidation';
+    mockOptions.classList.toggle('hidden', mode !== 'mock');
+    invalidateBtn.textContent = {
+        'live': `Generate Token & Start ${action}`,
+        'dry-run': 'Preview Batches (Dry Run)',
+        'mock': `Start Mock ${action}`,
+    }[mode];
+}
+
+function setupUIForProcessing(totalOrders) {
+    isProcessing = true;
+    isCancelled = false;
+    invalidateBtn.disabled = false;
+    invalidateBtn.textContent = 'Cancel';
+    invalidateBtn.classList.add('btn-danger');
+    profilePicker.setDisabled(true);
+    [operationSelect, appKeyInput, secretKeyInput, orderIdsInput, csvFileInput, runModeSelect, baseUrlInput, idColumnSelect, idPatternInput, excludeFlaggedCheckbox, batchSizeInput, concurrencyInput].forEach(el => el.disabled = true);
+    progressArea.classList.remove('hidden');
+    logContainer.classList.remove('hidden');
+    progressBar.style.width = '0%';
+    progressText.textContent = `0/${totalOrders} (0%)`;
+    etrText.textContent = 'Est. time remaining: N/A';
+    logger.clear();
+    logToScreen(`Starting process for ${totalOrders} orders...`);
+}
+
+function updateProgressUI(current, total, meter) {
+    const percentage = (current / total) * 100;
+    progressBar.style.width = `${percentage}%`;
+    progressText.textContent = `${current}/${total} (${Math.round(percentage)}%)`;
+    etrText.textContent = `Est. time remaining: ${formatTime(meter.estimateRemainingMs(total - current))}`;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function formatTime(ms) {
+    if (ms < 0 || !isFinite(ms)) return 'N/A';
+    let seconds = Math.round(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    seconds %= 60;
+    return `${minutes > 0 ? `${minutes}m ` : ''}${seconds}s`;
+
+}
@@ -0,0 +1,111 @@
+/**
+ * Stool - Order Ledger
+ * Tracks the outcome of every order ID in an Order Invalidator run, so failed IDs
+ * can be retried on their own, results can be exported per order, and an
+ * interrupted run can be resumed without resending IDs that already succeeded.
+ * This file has no DOM access; saving the ledger is left to the page.
+ */
+
+const ORDER_STATUS = {
+    PENDING: 'pending',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+};
+
+/**
+ * Creates a ledger with every order pending. Repeated IDs are only tracked once.
+ * @param {string[]} orderIds - The order IDs of the run, in order.
+ * @param {Object} meta - Run details to keep with the ledger, e.g. {appKey}. Never the secret.
+ * @returns {{meta: Object, entries: Map}} entries maps order ID -> {status, attempts, error, updatedAt}.
+ */
+function createLedger(orderIds, meta) {
+    const entries = new Map();
+    orderIds.forEach(id => {
+        if (!entries.has(id)) entries.set(id, { status: ORDER_STATUS.PENDING, attempts: 0, error: '', updatedAt: '' });
+    });
+    return { meta: { ...meta, createdAt: new Date().toISOString() }, entries };
+}
+
+/**
+ * Sets the status (and error, for failures) of some orders.
+ */
+function markOrders(ledger, orderIds, status, error = '') {
+    const updatedAt = new Date().toISOString();
+    orderIds.forEach(id => {
+        const entry = ledger.entries.get(id);
+        entry.status = status;
+        entry.error = status === ORDER_STATUS.FAILED ? error : '';
+        entry.updatedAt = updatedAt;
+    });
+}
+
+/**
+ * Counts one more request for each of the given orders.
+ */
+function recordAttempt(ledger, orderIds) {
+    orderIds.forEach(id => { ledger.entries.get(id).attempts++; });
+}
+
+/**
+ * @returns {string[]} The IDs of every order with one of the given statuses, in ledger order.
+ */
+function ordersWithStatus(ledger, ...statuses) {
+    return Array.from(ledger.entries).filter(([, entry]) => statuses.includes(entry.status)).map(([id]) => id);
+}
+
+/**
+ * @returns {{total: number, pending: number, succeeded: number, failed: number}}
+ */
+function ledgerCounts(ledger) {
+    const counts = { total: ledger.entries.size, pending: 0, succeeded: 0, failed: 0 };
+    ledger.entries.forEach(entry => { counts[entry.status]++; });
+    return counts;
+}
+
+/**
+ * Converts a ledger to JSON for storage. Entries are stored as compact arrays.
+ */
+function serializeLedger(ledger) {
+    return JSON.stringify({
+        meta: ledger.meta,
+        entries: Array.from(ledger.entries).map(([id, entry]) => [id, entry.status, entry.attempts, entry.error, entry.updatedAt]),
+    });
+}
+
+/**
+ * The reverse of serializeLedger.
+ * @returns {?Object} The ledger, or null if the text is not a saved ledger.
+ */
+function deserializeLedger(text) {
+    try {
+        const saved = JSON.parse(text);
+        if (!saved || !saved.meta || !Array.isArray(saved.entries)) return null;
+        const entries = new Map(saved.entries.map(([id, status, attempts, error, updatedAt]) => [id, { status, attempts, error, updatedAt }]));
+        return { meta: saved.meta, entries };
+    } catch (e) {
+        return null;
+    }
+}
+
+const LEDGER_REPORT_HEADER = ['Order ID', 'Status', 'Attempts', 'Error', 'Last Updated'];
+
+/**
+ * Builds the per-order results CSV rows, header first. If the run's IDs came from a
+ * CSV, ledger.details ({header, rows: Map of order ID -> row arrays}) adds the file's
+ * other columns, one output row per source row, so the export can be re-imported.
+ * Details are kept in memory only and are not part of a saved ledger.
+ */
+function ledgerReportRows(ledger) {
+    const details = ledger.details;
+    const rows = [];
+    ledger.entries.forEach((entry, id) => {
+        const base = [id, entry.status, entry.attempts, entry.error, entry.updatedAt];
+        const sourceRows = details ? details.rows.get(id) : null;
+        if (sourceRows) {
+            sourceRows.forEach(sourceRow => rows.push([...base, ...sourceRow]));
+        } else {
+            rows.push(base);
+        }
+    });
+    return [[...LEDGER_REPORT_HEADER, ...(details ? details.header : [])], ...rows];
+}
@@ -0,0 +1,108 @@
+/**
+ * Stool - Order Re-import
+ * Turns a CSV of order data into the purchase objects the purchases endpoint takes,
+ * so orders that were invalidated by mistake can be created again. The CSV can be
+ * an order export (one row per order, or one row per product of an order) or the
+ * per-order results export of an Order Invalidator run, in which case only the
+ * orders that run actually invalidated are re-imported.
+ * This file has no DOM access. Requires order-ledger.js and order-id-review.js.
+ */
+
+/**
+ * Headers each order field is detected by, in order of preference.
+ * The order ID uses ORDER_ID_COLUMN_CANDIDATES (order-id-review.js).
+ */
+const ORDER_DATA_COLUMN_CANDIDATES = {
+    email: ['Email', 'Customer Email', 'User Email'],
+    customerName: ['Customer Name', 'Name', 'Full Name', 'User Name'],
+    orderDate: ['Order Date', 'Date', 'Created At', 'Purchase Date'],
+    productId: ['Product ID', 'Product IDs', 'Products', 'SKU', 'Product SKU'],
+    productName: ['Product Name', 'Product Title'],
+    productPrice: ['Product Price', 'Price'],
+    currency: ['Currency', 'Currency ISO'],
+};
+
+// The fields an order cannot be created without.
+const REQUIRED_ORDER_FIELDS = ['email', 'customerName', 'orderDate', 'productId'];
+
+// A Products cell may list several product IDs separated by these.
+const PRODUCT_LIST_SEPARATOR = /[;|]/;
+
+// Columns that mark a file as an Order Invalidator results export (see ledgerReportRows).
+const RESULTS_EXPORT_COLUMNS = ['Status', 'Attempts'];
+
+/**
+ * Builds one purchase per order. Rows sharing an order ID are merged, each adding
+ * its products. Orders with missing or malformed data are reported, not dropped,
+ * so the page can show why they won't be sent.
+ * @param {Array[]} rows - The data rows.
+ * @param {Object} columns - Field -> column index (-1 if missing) for orderId and every
+ *   key of ORDER_DATA_COLUMN_CANDIDATES, plus status (-1 unless this is a results export).
+ * @returns {{orders: Map, problems: Map, skippedCount: number}} orders maps order ID ->
+ *   purchase object (for every order, including those with problems); problems maps order
+ *   ID -> reason; skippedCount counts results-export rows whose order was not invalidated.
+ */
+function buildPurchaseOrders(rows, columns) {
+    const orders = new Map();
+    const problems = new Map();
+    let skippedCount = 0;
+    const cell = (row, field) => (columns[field] === undefined || columns[field] === -1 ? '' : String(row[columns[field]] ?? '').trim());
+
+    rows.forEach(row => {
+        const orderId = cleanOrderId(cell(row, 'orderId'));
+        if (!orderId) return;
+        if (columns.status !== -1 && cell(row, 'status') !== ORDER_STATUS.SUCCEEDED) {
+            skippedCount++;
+            return;
+        }
+
+        if (!orders.has(orderId)) {
+            const currency = cell(row, 'currency');
+            orders.set(orderId, {
+                order_id: orderId,
+                email: cell(row, 'email'),
+                customer_name: cell(row, 'customerName'),
+                order_date: cell(row, 'orderDate'),
+                ...(currency ? { currency_iso: currency } : {}),
+                products: {},
+            });
+        }
+        const order = orders.get(orderId);
+        cell(row, 'productId').split(PRODUCT_LIST_SEPARATOR).map(id => id.trim()).filter(Boolean).forEach(productId => {
+            if (order.products[productId]) return;
+            const price = parseFloat(cell(row, 'productPrice'));
+            order.products[productId] = {
+                name: cell(row, 'productName') || productId,
+                ...(isFinite(price) ? { price } : {}),
+            };
+        });
+    });
+
+    orders.forEach((order, orderId) => {
+        const reason = purchaseProblem(order, columns);
+        if (reason) problems.set(orderId, reason);
+    });
+    return { orders, problems, skippedCount };
+}
+
+/**
+ * @returns {?string} Why a purchase can't be created, or null if it looks complete.
+ */
+function purchaseProblem(order, columns) {
+    const missingColumns = REQUIRED_ORDER_FIELDS.filter(field => columns[field] === -1);
+    if (missingColumns.length > 0) return `No ${missingColumns.map(orderFieldLabel).join(', ')} column`;
+    if (!order.email) return 'Missing email';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(order.email)) return 'Invalid email';
+    if (!order.customer_name) return 'Missing customer name';
+    if (!order.order_date) return 'Missing order date';
+    if (isNaN(Date.parse(order.order_date))) return 'Invalid order date';
+    if (Object.keys(order.products).length === 0) return 'No products';
+    return null;
+}
+
+/**
+ * Names a field of ORDER_DATA_COLUMN_CANDIDATES for messages, e.g. "customer name".
+ */
+function orderFieldLabel(field) {
+    return field.replace(/[A-Z]/g, letter => ` ${letter.toLowerCase()}`);
+}
@@ -0,0 +1,132 @@
+/**
+ * Stool - Order Scheduler
+ * Sends the Order Invalidator's batches several at a time without running into the
+ * API's rate limit. A shared pacer spaces out request starts and adapts the spacing
+ * to the rate-limit headers of each response; a 429 pauses every worker at once.
+ * Also measures throughput for the time-remaining estimate.
+ * This file has no DOM access.
+ */
+
+/**
+ * Default pacing for createRequestPacer.
+ */
+const DEFAULT_PACER_OPTIONS = {
+    minIntervalMs: 250,     // Never start requests closer together than this
+    maxIntervalMs: 30000,   // Never slow down beyond one request per this long
+    recoveryFactor: 0.8,    // After a slowdown, the interval shrinks by this factor per success
+};
+
+/**
+ * Creates a pacer shared by every worker of a run.
+ * @param {Object} [options] - See DEFAULT_PACER_OPTIONS.
+ * @returns {{waitTurn: function(): Promise<boolean>, observe: function(Object): void,
+ *   pause: function(number): void, cancel: function(): void, intervalMs: function(): number}}
+ *   waitTurn resolves true when the caller may send, or false once the pacer is cancelled.
+ */
+function createRequestPacer(options = {}) {
+    const config = { ...DEFAULT_PACER_OPTIONS, ...options };
+    let interval = config.minIntervalMs;
+    let nextStartAt = 0;
+    let pausedUntil = 0;
+    let cancelled = false;
+
+    async function waitTurn() {
+        while (!cancelled) {
+            const now = Date.now();
+            const startAt = Math.max(now, nextStartAt, pausedUntil);
+            if (startAt <= now) {
+                nextStartAt = now + interval;
+                return true;
+            }
+            // Sleep in short steps so a cancel or a new pause is noticed quickly
+            await new Promise(resolve => setTimeout(resolve, Math.min(startAt - now, 250)));
+        }
+        return false;
+    }
+
+    /**
+     * Adapts the pacing to a response from apiClient.deletePurchases. When the API
+     * reports its remaining quota, the remaining requests are spread over the time
+     * left until the quota resets.
+     */
+    function observe(outcome) {
+        const rateLimit = outcome.rateLimit || {};
+        if (outcome.status === 429) {
+            interval = Math.min(config.maxIntervalMs, interval * 2);
+        } else if (rateLimit.remaining != null && rateLimit.resetMs != null) {
+            if (rateLimit.remaining <= 0) pause(rateLimit.resetMs);
+            interval = clamp(rateLimit.resetMs / Math.max(rateLimit.remaining, 1), config.minIntervalMs, config.maxIntervalMs);
+        } else {
+            interval = Math.max(config.minIntervalMs, interval * config.recoveryFactor);
+        }
+    }
+
+    /**
+     * Holds back every request for the given time, e.g. after a 429 with Retry-After.
+     */
+    function pause(ms) {
+        pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    }
+
+    return {
+        waitTurn,
+        observe,
+        pause,
+        cancel: () => { cancelled = true; },
+        intervalMs: () => interval,
+    };
+}
+
+/**
+ * Runs a worker over every item with at most `concurrency` running at once.
+ * No new item is started once shouldStop returns true; the returned promise
+ * resolves after the items already started have finished.
+ * @param {Array} items - The work, started in order.
+ * @param {number} concurrency - How many items may run at once.
+ * @param {function(*, number): Promise} worker - Called with each item and its index.
+ * @param {function(): boolean} [shouldStop]
+ * @returns {Promise<void>}
+ */
+async function runConcurrently(items, concurrency, worker, shouldStop = () => false) {
+    let next = 0;
+    const lane = async () => {
+        while (next < items.length && !shouldStop()) {
+            const index = next++;
+            await worker(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, lane));
+}
+
+/**
+ * Measures how fast orders are being processed over a recent time window, so the
+ * estimate follows the current pace rather than the average since the start.
+ * @param {number} [windowMs] - How much recent history the rate is based on.
+ * @returns {{record: function(number): void, estimateRemainingMs: function(number): number}}
+ *   estimateRemainingMs returns NaN until there is enough history.
+ */
+function createThroughputMeter(windowMs = 30000) {
+    const samples = [{ time: Date.now(), done: 0 }]; // Oldest first
+    let done = 0;
+
+    return {
+        record(count) {
+            const time = Date.now();
+            done += count;
+            samples.push({ time, done });
+            // Keep one sample older than the window as its starting point
+            while (samples.length > 2 && samples[1].time < time - windowMs) samples.shift();
+        },
+        estimateRemainingMs(remaining) {
+            if (samples.length < 2) return NaN;
+            const first = samples[0];
+            const last = samples[samples.length - 1];
+            const perMs = (last.done - first.done) / (Date.now() - first.time);
+            return perMs > 0 ? remaining / perMs : NaN;
+        },
+    };
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
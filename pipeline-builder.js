@@ -0,0 +1,305 @@
+/**
+ * Stool - Pipeline Builder
+ * Chains the toolbox's transforms (pipeline-steps.js) over one uploaded file, so a
+ * migration that used to mean a download and upload between every tool is a
+ * single run. The file is previewed after every step and downloaded once at the end.
+ * Pipelines can be saved to and loaded from a JSON file.
+ */
+
+// --- 1. CONFIGURATION ---
+const PREVIEW_ROWS = 5;
+// The usual review migration: what a new page starts with.
+const DEFAULT_PIPELINE = ['remapIds', 'expandCustomQuestions', 'normalizeDates', 'dropColumns', 'validateImport'];
+
+const mappingArea = document.getElementById('mappingArea');
+const mappingFileInput = document.getElementById('mappingFileInput');
+const mappingDropZone = document.getElementById('mappingDropZone');
+const mappingPrompt = document.getElementById('mappingPrompt');
+const mappingFileName = document.getElementById('mappingFileName');
+const stepsContainer = document.getElementById('stepsContainer');
+const stepTypeSelect = document.getElementById('stepTypeSelect');
+const addStepBtn = document.getElementById('addStepBtn');
+const savePipelineBtn = document.getElementById('savePipelineBtn');
+const loadPipelineInput = document.getElementById('loadPipelineInput');
+const previewArea = document.getElementById('previewArea');
+const previewContainer = document.getElementById('previewContainer');
+
+const mappingZone = { input: mappingFileInput, dropZone: mappingDropZone, prompt: mappingPrompt, fileName: mappingFileName };
+
+let pipeline = DEFAULT_PIPELINE.map(type => createPipelineStep(type));
+let mappingTable = null;
+
+// --- 2. SETUP ---
+// File handling, logging, processing and download are provided by csv-tool.js.
+const tool = CsvTool.createSingleFileTool({
+    parseOptions: { header: false },
+    transform: runPipeline,
+    onReset: () => {
+        mappingTable = null;
+        CsvTool.resetDropZone(mappingZone);
+        previewArea.classList.add('hidden');
+        previewContainer.innerHTML = '';
+    },
+});
+const logToScreen = tool.logger.log;
+
+CsvTool.setupDropZone(mappingZone, loadMappingFile);
+addStepBtn.addEventListener('click', () => {
+    pipeline.push(createPipelineStep(stepTypeSelect.value));
+    pipelineChanged();
+});
+savePipelineBtn.addEventListener('click', savePipeline);
+loadPipelineInput.addEventListener('change', loadPipeline);
+
+// --- 3. CORE FUNCTIONS ---
+
+/**
+ * Runs every step in order over the loaded file, previewing the table after each.
+ * @param {{data: Array[]}} results - The parsed CSV, header row first.
+ * @returns {Array[]} The final rows, header first.
+ */
+function runPipeline({ data }) {
+    if (data.length === 0) throw new Error('The file is empty.');
+    if (pipeline.length === 0) throw new Error('Add at least one step.');
+
+    previewContainer.innerHTML = '';
+    previewArea.classList.remove('hidden');
+    let table = { header: data[0], rows: data.slice(1) };
+    renderPreview('Uploaded file', table, null);
+
+    pipeline.forEach((step, i) => {
+        const label = `${i + 1}. ${PIPELINE_STEPS[step.type].label}`;
+        logToScreen(`Step ${label}`);
+        let output;
+        try {
+            output = runPipelineStep(step, table, { log: logToScreen, mappingTable });
+        } catch (error) {
+            throw new Error(`Step ${label}: ${error.message}`);
+        }
+        table = output.table;
+        renderPreview(label, table, output.report);
+    });
+
+    logToScreen(`Pipeline finished: ${table.rows.length} rows, ${table.header.length} columns.`);
+    return [table.header, ...table.rows];
+}
+
+/**
+ * Reads the mapping file for the "Remap product IDs" step.
+ */
+async function loadMappingFile(file) {
+    mappingTable = null;
+    try {
+        const { data } = await CsvTool.parseCsv(file, { header: false });
+        if (data.length === 0) throw new Error('The mapping file is empty.');
+        mappingTable = { header: data[0], rows: data.slice(1) };
+        tool.elements.logContainer.classList.remove('hidden');
+        logToScreen(`✅ Loaded mapping file with ${mappingTable.rows.length} rows.`);
+        pipelineChanged();
+    } catch (error) {
+        alert(`Could not read the mapping file: ${error.message}`);
+        CsvTool.resetDropZone(mappingZone);
+    }
+}
+
+/**
+ * Downloads the steps and their settings as a JSON file.
+ */
+function savePipeline() {
+    CsvTool.downloadText(serializePipeline(pipeline), 'pipeline.json', 'application/json');
+}
+
+/**
+ * Replaces the steps with a pipeline saved by savePipeline.
+ */
+async function loadPipeline() {
+    const file = loadPipelineInput.files[0];
+    loadPipelineInput.value = '';
+    if (!file) return;
+    try {
+        pipeline = parsePipelineDefinition(await file.text());
+    } catch (error) {
+        alert(`Could not load the pipeline: ${error.message}`);
+        return;
+    }
+    pipelineChanged();
+}
+
+// --- 4. UI FUNCTIONS ---
+
+/**
+ * Redraws the step list and lets a finished run be repeated with the new steps.
+ */
+function pipelineChanged() {
+    renderSteps();
+    allowRerun();
+}
+
+function allowRerun() {
+    if (tool.results) {
+        tool.elements.processBtn.classList.remove('hidden');
+        tool.elements.processBtn.disabled = false;
+    }
+}
+
+function renderSteps() {
+    stepsContainer.innerHTML = '';
+    pipeline.forEach((step, i) => stepsContainer.appendChild(renderStep(step, i)));
+    if (pipeline.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'description';
+        empty.textContent = 'No steps yet. Pick one below and add it.';
+        stepsContainer.appendChild(empty);
+    }
+    mappingArea.classList.toggle('hidden', !pipeline.some(step => step.type === 'remapIds'));
+}
+
+/**
+ * Builds the card for one step: its title, move and remove buttons, and a control per setting.
+ */
+function renderStep(step, index) {
+    const definition = PIPELINE_STEPS[step.type];
+    const card = document.createElement('div');
+    card.className = 'pipeline-step';
+
+    const header = document.createElement('div');
+    header.className = 'pipeline-step-header';
+    const title = document.createElement('strong');
+    title.textContent = `${index + 1}. ${definition.label}`;
+    const buttons = document.createElement('div');
+    buttons.className = 'pipeline-step-buttons';
+    [
+        ['↑', 'Move up', index > 0, () => moveStep(index, -1)],
+        ['↓', 'Move down', index < pipeline.length - 1, () => moveStep(index, 1)],
+        ['Remove', 'Remove this step', true, () => {
+            pipeline.splice(index, 1);
+            pipelineChanged();
+        }],
+    ].forEach(([text, tooltip, enabled, onClick]) => {
+        const button = document.createElement('button');
+        button.className = 'btn-secondary';
+        button.textContent = text;
+        button.title = tooltip;
+        button.disabled = !enabled;
+        button.addEventListener('click', onClick);
+        buttons.appendChild(button);
+    });
+    header.append(title, buttons);
+
+    const description = document.createElement('p');
+    description.className = 'description';
+    description.textContent = definition.description;
+    card.append(header, description);
+
+    if (definition.fields.length > 0) {
+        const fields = document.createElement('div');
+        fields.className = 'main-content';
+        definition.fields.forEach(field => fields.appendChild(renderField(step, field)));
+        card.appendChild(fields);
+    }
+    return card;
+}
+
+/**
+ * Builds the control for one setting, writing every change straight into the step.
+ */
+function renderField(step, field) {
+    const group = document.createElement('div');
+    group.className = 'input-group';
+    const value = step.params[field.key];
+
+    if (field.type === 'checkbox') {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = value;
+        checkbox.addEventListener('change', () => {
+            step.params[field.key] = checkbox.checked;
+            allowRerun();
+        });
+        label.append(checkbox, ` ${field.label}`);
+        group.appendChild(label);
+        return group;
+    }
+
+    let control;
+    if (field.type === 'select') {
+        control = document.createElement('select');
+        Object.entries(field.options).forEach(([option, label]) => control.add(new Option(label, option)));
+        control.value = value;
+    } else if (field.type === 'list' || field.type === 'textarea') {
+        control = document.createElement('textarea');
+        control.rows = 3;
+        control.value = field.type === 'list' ? value.join('\n') : value;
+    } else {
+        control = document.createElement('input');
+        control.type = 'text';
+        control.value = value;
+    }
+    control.addEventListener(field.type === 'select' ? 'change' : 'input', () => {
+        step.params[field.key] = field.type === 'list'
+            ? control.value.split('\n').map(line => line.trim()).filter(Boolean)
+            : control.value;
+        allowRerun();
+    });
+
+    const label = document.createElement('label');
+    label.textContent = field.label;
+    group.append(label, control);
+    return group;
+}
+
+function moveStep(index, offset) {
+    const [step] = pipeline.splice(index, 1);
+    pipeline.splice(index + offset, 0, step);
+    pipelineChanged();
+}
+
+/**
+ * Shows the table as it is after a step: its size, the first rows and, for the
+ * validation step, the problems per column with a download of the full report.
+ * @param {string} label - The step, e.g. "2. Expand custom questions".
+ * @param {{header: string[], rows: Array[]}} table
+ * @param {?Object} report - The validation result, if the step produced one.
+ */
+function renderPreview(label, table, report) {
+    const section = document.createElement('div');
+    section.className = 'input-group';
+    const title = document.createElement('label');
+    title.textContent = `${label} (${table.rows.length} rows, ${table.header.length} columns)`;
+    section.appendChild(title);
+
+    if (report) {
+        const summary = document.createElement('div');
+        summary.className = 'stat-grid';
+        [
+            ['Rows with problems', report.invalidRowCount],
+            ['Problems', report.issueCount],
+            ['Missing columns', report.missingColumns.length],
+        ].forEach(([statLabel, value]) => CsvTool.renderStatCard(summary, statLabel, value));
+        section.append(summary, renderPreviewTable(importColumnSummaryRows(report)));
+        const downloadBtn = document.createElement('button');
+        downloadBtn.className = 'btn-secondary';
+        downloadBtn.textContent = 'Download Validation Report (CSV)';
+        downloadBtn.addEventListener('click', () => tool.downloads.downloadCsv(importReportRows(report), 'import_validation.csv'));
+        section.appendChild(downloadBtn);
+    } else {
+        section.appendChild(renderPreviewTable([table.header, ...table.rows.slice(0, PREVIEW_ROWS)]));
+    }
+    previewContainer.appendChild(section);
+}
+
+function renderPreviewTable(rows) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'table-wrapper';
+    const table = document.createElement('table');
+    table.className = 'data-table';
+    CsvTool.renderTable(table, rows);
+    wrapper.appendChild(table);
+    return wrapper;
+}
+
+// --- 5. INITIALIZATION ---
+Object.entries(PIPELINE_STEPS).forEach(([type, { label }]) => stepTypeSelect.add(new Option(label, type)));
+renderSteps();
@@ -0,0 +1,313 @@
+/**
+ * Stool - Pipeline Steps
+ * The transforms the Pipeline Builder chains over one file: remap product IDs,
+ * expand custom questions, normalize dates, drop and rename columns, and validate
+ * against the import format. They reuse the same code as the single tools. Each
+ * step takes a table ({header, rows}) and returns a new one, so the page can
+ * preview the file after every step. Columns are referred to by header name (matched
+ * ignoring case, spaces and punctuation), which keeps a saved pipeline usable on
+ * the next export of the same kind.
+ * This file has no DOM access. Requires product-id-matcher.js, custom-questions.js,
+ * date-parsing.js, import-validator.js and review-remapper-steps.js (for parseRenameRules).
+ */
+
+// Version written into saved pipelines, so later formats can still read older files.
+const PIPELINE_FORMAT_VERSION = 1;
+
+/**
+ * Every step type. fields describes the settings the page shows for a step:
+ *   text, textarea - a string
+ *   list           - one value per line, kept as an array
+ *   select         - one of options (value -> label)
+ *   checkbox       - a boolean
+ * defaults holds the value of every field for a newly added step.
+ */
+const PIPELINE_STEPS = {
+    remapIds: {
+        label: 'Remap product IDs',
+        description: 'Replaces old product IDs with new ones from the mapping file. Only confident matches are applied; review fuzzy matches in the Review Remapper.',
+        fields: [
+            { key: 'column', label: 'Product ID column', type: 'text' },
+            { key: 'oldIdColumn', label: 'Old ID column (mapping file)', type: 'text' },
+            { key: 'newIdColumn', label: 'New ID column (mapping file)', type: 'text' },
+            { key: 'conflict', label: 'Old IDs with several new IDs', type: 'select', options: { 'first-wins': 'Use the first', 'last-wins': 'Use the last', abort: 'Stop the pipeline' } },
+            { key: 'chain', label: 'Chained mappings (A → B, B → C)', type: 'select', options: { 'keep-direct': 'Keep the direct new ID', 'follow-chain': 'Follow to the end', abort: 'Stop the pipeline' } },
+            { key: 'punctuation', label: 'Ignore punctuation when matching', type: 'checkbox' },
+        ],
+        defaults: { column: 'Product ID', oldIdColumn: 'Old ID', newIdColumn: 'New ID', conflict: 'first-wins', chain: 'keep-direct', punctuation: true },
+        run: runRemapIdsStep,
+    },
+    expandCustomQuestions: {
+        label: 'Expand custom questions',
+        description: 'Replaces a custom questions JSON column with one column per question.',
+        fields: [
+            { key: 'column', label: 'JSON column', type: 'text' },
+            { key: 'arrays', label: 'Multi-select answers', type: 'select', options: { join: 'Join into one cell', 'one-hot': 'One column per option (1/0)' } },
+            { key: 'arrayDelimiter', label: 'Join with', type: 'text' },
+            { key: 'objects', label: 'Nested answers', type: 'select', options: { dotted: 'One column per path (Size.Waist)', json: 'Keep as JSON text' } },
+            { key: 'repair', label: 'Try to repair invalid JSON', type: 'checkbox' },
+        ],
+        defaults: { column: 'Review Custom Questions', arrays: 'join', arrayDelimiter: ', ', objects: 'dotted', repair: false },
+        run: runExpandCustomQuestionsStep,
+    },
+    normalizeDates: {
+        label: 'Normalize dates',
+        description: `Rewrites dates in one format. Cells that can't be read are kept and explained in a "${DATE_ERRORS_COLUMN}" column.`,
+        fields: [
+            { key: 'columns', label: 'Date columns (one per line; empty = every column that looks like a date)', type: 'list' },
+            { key: 'order', label: 'Numeric dates', type: 'select', options: DATE_ORDERS },
+            { key: 'format', label: 'Output format', type: 'select', options: Object.fromEntries(Object.entries(DATE_OUTPUT_FORMATS).map(([format, { label }]) => [format, label])) },
+            { key: 'customPattern', label: 'Custom pattern', type: 'text' },
+            { key: 'timeZone', label: 'Time zone', type: 'text' },
+        ],
+        defaults: { columns: [], order: 'auto', format: 'isoDate', customPattern: 'YYYY-MM-DD', timeZone: 'UTC' },
+        run: runNormalizeDatesStep,
+    },
+    dropColumns: {
+        label: 'Drop columns',
+        description: 'Removes columns by name.',
+        fields: [
+            { key: 'columns', label: 'Columns to remove (one per line)', type: 'list' },
+        ],
+        defaults: { columns: DEFAULT_DROPPED_HEADERS },
+        run: runDropColumnsStep,
+    },
+    renameColumns: {
+        label: 'Rename columns',
+        description: 'Renames headers. Data is left untouched.',
+        fields: [
+            { key: 'rules', label: 'Renames (one "Old Header -> New Header" per line)', type: 'textarea' },
+        ],
+        defaults: { rules: '' },
+        run: runRenameColumnsStep,
+    },
+    validateImport: {
+        label: 'Validate against the import format',
+        description: 'Checks every row against the review import format without changing it.',
+        fields: [],
+        defaults: {},
+        run: runValidateImportStep,
+    },
+};
+
+/**
+ * Creates a step with every setting filled in. Settings the step type doesn't know are dropped.
+ * @param {string} type - A key of PIPELINE_STEPS.
+ * @param {Object} [params] - Settings to use instead of the defaults.
+ * @returns {{type: string, params: Object}}
+ */
+function createPipelineStep(type, params = {}) {
+    const definition = PIPELINE_STEPS[type];
+    if (!definition) throw new Error(`Unknown pipeline step "${type}".`);
+    const merged = {};
+    Object.entries(definition.defaults).forEach(([key, value]) => {
+        const chosen = key in params && typeof params[key] === typeof value && Array.isArray(params[key]) === Array.isArray(value)
+            ? params[key]
+            : value;
+        merged[key] = Array.isArray(chosen) ? [...chosen] : chosen;
+    });
+    return { type, params: merged };
+}
+
+/**
+ * Writes a pipeline as JSON, for saving to a file.
+ */
+function serializePipeline(steps) {
+    return JSON.stringify({ version: PIPELINE_FORMAT_VERSION, steps: steps.map(({ type, params }) => ({ type, params })) }, null, 2);
+}
+
+/**
+ * Reads a pipeline saved by serializePipeline.
+ * @param {string} text - The JSON text.
+ * @returns {Object[]} The steps.
+ * @throws {Error} If the text is not a pipeline or uses an unknown step.
+ */
+function parsePipelineDefinition(text) {
+    let definition;
+    try {
+        definition = JSON.parse(text);
+    } catch (e) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (!definition || !Array.isArray(definition.steps)) throw new Error('The file is not a saved pipeline.');
+    if (definition.version > PIPELINE_FORMAT_VERSION) {
+        throw new Error(`The pipeline was saved by a newer version of this tool (format ${definition.version}).`);
+    }
+    return definition.steps.map(step => createPipelineStep(step && step.type, (step && step.params) || {}));
+}
+
+/**
+ * Runs one step over a table.
+ * @param {{type: string, params: Object}} step
+ * @param {{header: string[], rows: Array[]}} table - Not modified.
+ * @param {Object} context - {log(message, isError), mappingTable (the uploaded mapping file, or null)}.
+ * @returns {{table: Object, report: ?Object}} The new table, and what the step found when
+ *   it has more to show than log lines (the validation result).
+ */
+function runPipelineStep(step, table, context) {
+    return PIPELINE_STEPS[step.type].run(table, step.params, context);
+}
+
+/**
+ * Finds a column by name: an exact match first, then ignoring case, spaces and punctuation.
+ * @returns {number} The index, or -1.
+ */
+function findPipelineColumn(header, name) {
+    const exact = header.indexOf(name);
+    if (exact !== -1) return exact;
+    const wanted = normalizePipelineHeader(name);
+    return wanted ? header.findIndex(field => normalizePipelineHeader(field) === wanted) : -1;
+}
+
+function requirePipelineColumn(header, name, where = 'the file') {
+    const index = findPipelineColumn(header, name);
+    if (index === -1) throw new Error(`No column named "${name}" in ${where}.`);
+    return index;
+}
+
+// Same matching rule as CsvTool.normalizeHeader.
+function normalizePipelineHeader(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// --- STEPS ---
+
+function runRemapIdsStep(table, params, { mappingTable, log }) {
+    if (!mappingTable) throw new Error('Upload a mapping file for the "Remap product IDs" step.');
+    const position = requirePipelineColumn(table.header, params.column);
+    const oldIdIndex = requirePipelineColumn(mappingTable.header, params.oldIdColumn, 'the mapping file');
+    const newIdIndex = requirePipelineColumn(mappingTable.header, params.newIdColumn, 'the mapping file');
+
+    const analysis = analyzeMappings(mappingTable.rows, oldIdIndex, newIdIndex);
+    const { lookupMap, resolutions } = buildLookupMap(analysis, { conflict: params.conflict, chain: params.chain });
+    resolutions.forEach(resolution => log(resolution));
+    const matcher = createMatcher(lookupMap, { punctuation: params.punctuation });
+
+    const matches = new Map();
+    let remappedRows = 0;
+    const rows = table.rows.map(row => {
+        const oldId = row[position] ?? '';
+        if (!matches.has(oldId)) matches.set(oldId, matcher(oldId));
+        const match = matches.get(oldId);
+        if (!match || match.confidence !== 'high') return row;
+        remappedRows++;
+        const newRow = [...row];
+        newRow[position] = match.newId;
+        return newRow;
+    });
+
+    const ids = Array.from(matches.keys()).filter(Boolean);
+    const unmatched = ids.filter(id => !matches.get(id));
+    const heldBack = ids.filter(id => matches.get(id) && matches.get(id).confidence !== 'high');
+    log(`Remapped ${remappedRows} rows (${ids.length - unmatched.length - heldBack.length} of ${ids.length} unique product IDs).`);
+    if (unmatched.length > 0) log(`Warning: ${unmatched.length} product IDs were not found in the mapping file and were left as they were.`, true);
+    if (heldBack.length > 0) log(`Warning: ${heldBack.length} product IDs only had uncertain matches and were left as they were.`, true);
+    return { table: { header: table.header, rows }, report: null };
+}
+
+function runExpandCustomQuestionsStep(table, params, { log }) {
+    const position = requirePipelineColumn(table.header, params.column);
+    const options = { arrays: params.arrays, arrayDelimiter: params.arrayDelimiter, objects: params.objects };
+    const parsedCells = table.rows.map(row => parseAnswersCell(row[position], { repair: params.repair }));
+    const layout = collectAnswerColumns(parsedCells.map(parsed => parsed.answers), options);
+    const invalidCount = parsedCells.filter(parsed => parsed.error).length;
+    const repairedCount = parsedCells.filter(parsed => parsed.repairs.length > 0).length;
+
+    log(`Found ${layout.columns.length} custom question columns.`);
+    if (repairedCount > 0) log(`Repaired ${repairedCount} cells that were not valid JSON.`);
+    if (invalidCount > 0) log(`Warning: ${invalidCount} cells are not valid JSON. They are flagged in the "${INVALID_ANSWERS_COLUMN}" column.`, true);
+
+    const keep = (_, index) => index !== position;
+    const addedHeaders = invalidCount > 0 ? [...layout.columns, INVALID_ANSWERS_COLUMN] : layout.columns;
+    return {
+        table: {
+            header: table.header.filter(keep).concat(addedHeaders),
+            rows: table.rows.map((row, i) => {
+                const cells = row.filter(keep).concat(answerCells(parsedCells[i].answers, layout, options));
+                if (invalidCount > 0) cells.push(parsedCells[i].error || '');
+                return cells;
+            }),
+        },
+        report: null,
+    };
+}
+
+function runNormalizeDatesStep(table, params, { log }) {
+    const timeZone = params.timeZone.trim() || 'UTC';
+    if (!isValidTimeZone(timeZone)) throw new Error(`Unknown time zone "${timeZone}". Use a name like Europe/Berlin or UTC.`);
+    const pattern = params.format === 'custom' ? params.customPattern : DATE_OUTPUT_FORMATS[params.format].pattern;
+    if (!pattern || !pattern.trim()) throw new Error('Enter a custom output pattern.');
+
+    const positions = params.columns.length > 0
+        ? params.columns.map(column => requirePipelineColumn(table.header, column))
+        : table.header.map((field, index) => (looksLikeDateHeader(field) ? index : -1)).filter(index => index !== -1);
+    if (positions.length === 0) throw new Error('No column looks like a date. List the date columns in the step.');
+
+    const rows = table.rows.map(row => [...row]);
+    const rowErrors = rows.map(() => []);
+    const now = Date.now();
+    positions.forEach(position => {
+        const column = table.header[position];
+        const values = table.rows.map(row => row[position] ?? '');
+        const order = params.order === 'auto' ? detectDayOrder(values) : params.order;
+        const cleaned = cleanDateValues(values, { order, timeZone, pattern, now });
+        cleaned.values.forEach((value, i) => {
+            rows[i][position] = value;
+            if (cleaned.errors[i]) rowErrors[i].push(`${column}: ${cleaned.errors[i]}`);
+        });
+        log(`"${column}": ${cleaned.cleanedCount} dates cleaned, ${cleaned.failedCount} could not be read.`, cleaned.failedCount > 0);
+        if (cleaned.ambiguousCount > 0) {
+            log(`   ${cleaned.ambiguousCount} dates in "${column}" could be month or day first and were read month first. Set "Numeric dates" if that is wrong.`, true);
+        }
+    });
+
+    // Update the errors column of an earlier run (or of the Date Cleaner) rather than repeating it
+    const errorsPosition = table.header.indexOf(DATE_ERRORS_COLUMN);
+    if (errorsPosition !== -1) {
+        const columns = positions.map(position => table.header[position]);
+        rows.forEach((row, i) => { row[errorsPosition] = mergeDateErrors(row[errorsPosition], columns, rowErrors[i]); });
+        return { table: { header: table.header, rows }, report: null };
+    }
+    if (!rowErrors.some(errors => errors.length > 0)) return { table: { header: table.header, rows }, report: null };
+    return {
+        table: {
+            header: [...table.header, DATE_ERRORS_COLUMN],
+            rows: rows.map((row, i) => [...row, rowErrors[i].join('; ')]),
+        },
+        report: null,
+    };
+}
+
+function runDropColumnsStep(table, params, { log }) {
+    const dropped = new Set(params.columns.map(column => findPipelineColumn(table.header, column)).filter(index => index !== -1));
+    const keep = (_, index) => !dropped.has(index);
+    log(`Removing columns: ${table.header.filter((_, index) => !keep(_, index)).join(', ') || '(none)'}`);
+    return {
+        table: { header: table.header.filter(keep), rows: table.rows.map(row => row.filter(keep)) },
+        report: null,
+    };
+}
+
+function runRenameColumnsStep(table, params, { log }) {
+    const renameMap = parseRenameRules(params.rules);
+    const header = [...table.header];
+    const unused = [];
+    renameMap.forEach((newName, oldName) => {
+        // Looked up in the original header, so "A -> B" and "B -> C" don't chain
+        const index = findPipelineColumn(table.header, oldName);
+        if (index === -1) unused.push(oldName);
+        else header[index] = newName;
+    });
+
+    log(`Renamed ${renameMap.size - unused.length} headers.`);
+    if (unused.length > 0) {
+        log(`Warning: No column named ${unused.map(name => `"${name}"`).join(', ')} to rename.`, true);
+    }
+    return { table: { header, rows: table.rows }, report: null };
+}
+
+function runValidateImportStep(table, params, { log }) {
+    const result = validateImportRows(table.header, table.rows);
+    logImportValidation(result, log);
+    return { table, report: result };
+}
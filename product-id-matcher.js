@@ -0,0 +1,267 @@
+/**
+ * Stool - Product ID Matcher
+ * Builds the remapping lookup map (detecting duplicate, conflicting and chained
+ * entries), then matches old product IDs against it with rule-based and fuzzy
+ * strategies. Every match is tagged with the strategy that found it and a
+ * confidence level, so low-confidence matches can be held back for user approval.
+ * This file has no DOM access and is shared by the remapper pages.
+ */
+
+/**
+ * Default options for createMatcher.
+ */
+const DEFAULT_MATCHING_OPTIONS = {
+    punctuation: true,      // "ABC-123" matches "abc_123"
+    prefixes: [],           // Stripped from the start of both IDs, e.g. "sku-"
+    suffixes: [],           // Stripped from the end of both IDs, e.g. "-v2"
+    regexRules: [],         // RegExps; the first capture group (or whole match) is compared
+    fuzzy: false,           // Suggest the closest ID by edit distance
+    maxEditDistance: 2,
+    reviewAllNonExact: false, // Hold every non-exact match for approval, not just fuzzy/ambiguous ones
+};
+
+/**
+ * How conflicting old IDs and chained mappings are resolved by buildLookupMap.
+ * conflict: 'first-wins' | 'last-wins' | 'abort'
+ * chain:    'follow-chain' | 'keep-direct' | 'abort'
+ */
+const DEFAULT_CONFLICT_RULES = {
+    conflict: 'first-wins',
+    chain: 'keep-direct',
+};
+
+/**
+ * A robust cleaning function to normalize product IDs for comparison.
+ */
+function cleanString(str) {
+    if (typeof str !== 'string') return '';
+    let cleaned = str.replace(/[\s\u00A0]+/g, '').toLowerCase();
+    if (/^\d+$/.test(cleaned)) {
+        cleaned = cleaned.replace(/^0+/, '');
+    }
+    return cleaned;
+}
+
+/**
+ * Removes every character that is not a letter or digit.
+ */
+function stripPunctuation(key) {
+    return key.replace(/[^\p{L}\p{N}]/gu, '');
+}
+
+/**
+ * Strips the first matching prefix and suffix from a cleaned key.
+ */
+function stripAffixes(key, prefixes, suffixes) {
+    let stripped = key;
+    const prefix = prefixes.find(p => p && stripped.startsWith(p));
+    if (prefix) stripped = stripped.slice(prefix.length);
+    const suffix = suffixes.find(s => s && stripped.endsWith(s));
+    if (suffix) stripped = stripped.slice(0, -suffix.length);
+    return stripped;
+}
+
+/**
+ * Reads the old -> new entries from the mapping rows and finds everything that
+ * a plain Map would silently hide.
+ * @param {Array} rows - The remapping CSV data (without header).
+ * @param {number} oldIdIndex - Index of the old product ID column.
+ * @param {number} newIdIndex - Index of the new product ID column.
+ * @returns {{entries: Map, duplicates: Array, conflicts: Array, merges: Array, chains: Array}}
+ *   entries maps each cleaned old ID to every {oldId, newId, row} seen for it, in file order.
+ *   duplicates/conflicts list old IDs repeated with the same/different new IDs, merges list
+ *   new IDs that several old IDs point to, and chains list old IDs whose new ID is itself an old ID.
+ */
+function analyzeMappings(rows, oldIdIndex, newIdIndex) {
+    const entries = new Map();
+    rows.forEach((row, i) => {
+        const oldId = row[oldIdIndex];
+        const newId = row[newIdIndex];
+        if (!oldId || !newId) return;
+        const key = cleanString(oldId);
+        if (!entries.has(key)) entries.set(key, []);
+        entries.get(key).push({ oldId, newId: newId.toString().trim(), row: i + 2 }); // +2: header row and 1-based numbering
+    });
+
+    const duplicates = [];
+    const conflicts = [];
+    const sourcesByNewId = new Map();
+    entries.forEach((list, key) => {
+        const distinctNewIds = new Set(list.map(entry => entry.newId));
+        if (distinctNewIds.size > 1) conflicts.push({ key, entries: list });
+        else if (list.length > 1) duplicates.push({ key, entries: list });
+
+        distinctNewIds.forEach(newId => {
+            if (!sourcesByNewId.has(newId)) sourcesByNewId.set(newId, []);
+            sourcesByNewId.get(newId).push(list[0].oldId);
+        });
+    });
+
+    const merges = [];
+    sourcesByNewId.forEach((oldIds, newId) => {
+        if (oldIds.length > 1) merges.push({ newId, oldIds });
+    });
+
+    const chains = [];
+    entries.forEach((list, key) => {
+        new Set(list.map(entry => entry.newId)).forEach(newId => {
+            const nextKey = cleanString(newId);
+            if (nextKey !== key && entries.has(nextKey)) {
+                chains.push({ oldId: list[0].oldId, newId, nextNewId: entries.get(nextKey)[0].newId });
+            }
+        });
+    });
+
+    return { entries, duplicates, conflicts, merges, chains };
+}
+
+/**
+ * Builds the cleaned old ID -> new ID lookup map from analyzeMappings' result.
+ * Throws if a rule is 'abort' and the file has that kind of problem.
+ * @param {Object} analysis - The result of analyzeMappings.
+ * @param {Object} [rules] - See DEFAULT_CONFLICT_RULES.
+ * @returns {{lookupMap: Map, resolutions: string[]}} resolutions describes every decision taken, for the log.
+ */
+function buildLookupMap(analysis, rules = {}) {
+    const { conflict, chain } = { ...DEFAULT_CONFLICT_RULES, ...rules };
+    if (conflict === 'abort' && analysis.conflicts.length > 0) {
+        throw new Error(`Aborted: ${analysis.conflicts.length} old IDs map to more than one new ID.`);
+    }
+    if (chain === 'abort' && analysis.chains.length > 0) {
+        throw new Error(`Aborted: ${analysis.chains.length} mappings point to an ID that is itself remapped.`);
+    }
+
+    const lookupMap = new Map();
+    const resolutions = [];
+    analysis.entries.forEach((list, key) => {
+        const chosen = conflict === 'last-wins' ? list[list.length - 1] : list[0];
+        lookupMap.set(key, chosen.newId);
+        if (new Set(list.map(entry => entry.newId)).size > 1) {
+            const others = list.filter(entry => entry.newId !== chosen.newId).map(entry => `'${entry.newId}' (row ${entry.row})`);
+            resolutions.push(`[${conflict}] '${chosen.oldId}' -> '${chosen.newId}' (row ${chosen.row}), ignored ${others.join(', ')}.`);
+        }
+    });
+
+    if (chain === 'follow-chain') {
+        const direct = new Map(lookupMap);
+        direct.forEach((newId, key) => {
+            const path = [key];
+            let target = newId;
+            while (direct.has(cleanString(target)) && cleanString(target) !== path[path.length - 1]) {
+                const nextKey = cleanString(target);
+                if (path.includes(nextKey)) {
+                    throw new Error(`Mapping cycle detected: ${[...path, nextKey].join(' -> ')}. Fix the file or keep direct mappings.`);
+                }
+                path.push(nextKey);
+                target = direct.get(nextKey);
+            }
+            if (target !== newId) {
+                lookupMap.set(key, target);
+                resolutions.push(`[follow-chain] ${path.join(' -> ')} -> '${target}'.`);
+            }
+        });
+    } else if (analysis.chains.length > 0) {
+        resolutions.push(`[keep-direct] ${analysis.chains.length} chained mappings kept pointing to their direct new ID.`);
+    }
+
+    return { lookupMap, resolutions };
+}
+
+/**
+ * Levenshtein distance, giving up early once the distance exceeds maxDistance.
+ * @returns {number} The distance, or maxDistance + 1 if it is larger than maxDistance.
+ */
+function editDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Builds a matcher over a lookup map of cleaned old ID -> new ID.
+ * Strategies are tried in order: exact, punctuation-insensitive, prefix/suffix
+ * stripping, regex capture rules, then (optionally) edit distance.
+ * @param {Map} lookupMap - The map created by buildLookupMap.
+ * @param {Object} [options] - See DEFAULT_MATCHING_OPTIONS.
+ * @returns {function(string): ?{newId: string, method: string, confidence: string, detail: string}}
+ */
+function createMatcher(lookupMap, options = {}) {
+    const config = { ...DEFAULT_MATCHING_OPTIONS, ...options };
+    const prefixes = config.prefixes.map(cleanString).filter(Boolean);
+    const suffixes = config.suffixes.map(cleanString).filter(Boolean);
+
+    const normalizers = [];
+    if (config.punctuation) {
+        normalizers.push({ method: 'punctuation', normalize: stripPunctuation });
+    }
+    if (prefixes.length > 0 || suffixes.length > 0) {
+        normalizers.push({ method: 'prefix/suffix', normalize: key => stripPunctuation(stripAffixes(key, prefixes, suffixes)) });
+    }
+    config.regexRules.forEach(regex => {
+        normalizers.push({
+            method: `regex ${regex}`,
+            normalize: key => {
+                const match = key.match(regex);
+                return match ? (match[1] ?? match[0]) : '';
+            },
+        });
+    });
+
+    // For each strategy, index every mapping key by its normalized form.
+    const indexes = normalizers.map(({ method, normalize }) => {
+        const index = new Map();
+        lookupMap.forEach((newId, key) => {
+            const normalized = normalize(key);
+            if (!normalized) return;
+            if (!index.has(normalized)) index.set(normalized, new Set());
+            index.get(normalized).add(newId);
+        });
+        return { method, normalize, index };
+    });
+
+    return function match(oldId) {
+        const key = cleanString(oldId);
+        if (!key) return null;
+        if (lookupMap.has(key)) {
+            return { newId: lookupMap.get(key), method: 'exact', confidence: 'high', detail: '' };
+        }
+
+        for (const { method, normalize, index } of indexes) {
+            const normalized = normalize(key);
+            const candidates = normalized && index.get(normalized);
+            if (!candidates) continue;
+            const ambiguous = candidates.size > 1;
+            return {
+                newId: candidates.values().next().value,
+                method,
+                confidence: ambiguous || config.reviewAllNonExact ? 'low' : 'high',
+                detail: ambiguous ? `"${normalized}" matches ${candidates.size} different new IDs` : `matched as "${normalized}"`,
+            };
+        }
+
+        if (config.fuzzy) {
+            let best = null;
+            lookupMap.forEach((newId, candidateKey) => {
+                const distance = editDistance(key, candidateKey, config.maxEditDistance);
+                if (distance <= config.maxEditDistance && (!best || distance < best.distance)) {
+                    best = { newId, candidateKey, distance };
+                }
+            });
+            if (best) {
+                return { newId: best.newId, method: 'fuzzy', confidence: 'low', detail: `edit distance ${best.distance} from "${best.candidateKey}"` };
+            }
+        }
+        return null;
+    };
+}
@@ -0,0 +1,277 @@
+/**
+ * Stool - Review Remapper Steps
+ * The composable transformation steps behind the Review Remapper. Each step is
+ * compiled against the current header and a shared context into a function that
+ * transforms a single row, so a run can stream through files of any size. Steps
+ * always run in the order of REMAPPER_STEPS; any of them can be switched off for a run.
+ * This file has no DOM access and is also loaded by review-remapper-worker.js.
+ * Requires custom-questions.js and import-validator.js.
+ */
+
+/**
+ * Every step, in the order it runs.
+ */
+const REMAPPER_STEPS = [
+    { id: 'remapIds', label: 'Remap product IDs', compile: compileRemapIds },
+    { id: 'expandCustomQuestions', label: 'Expand custom questions', compile: compileExpandCustomQuestions },
+    { id: 'dropColumns', label: 'Drop columns', compile: compileDropColumns },
+    { id: 'renameHeaders', label: 'Rename headers', compile: compileRenameHeaders },
+    { id: 'validateImport', label: 'Validate against the import format', compile: compileValidateImport },
+];
+
+// Export columns the importer does not accept. These used to be dropped by
+// position (Columns A, B, M-Q and W); they are now matched by name.
+const DEFAULT_DROPPED_HEADERS = [
+    'Review ID', 'Review Type', 'Product Title', 'Product URL', 'Product Image URL',
+    'Product Description', 'Product Group', 'Reviewer IP', 'Published',
+];
+
+/**
+ * Presets that ship with the tool. "legacyV1" reproduces the original
+ * review-remapper.js, which dropped columns but left custom questions nested.
+ */
+const BUILT_IN_PRESETS = {
+    default: {
+        label: 'Full remap (default)',
+        steps: ['remapIds', 'expandCustomQuestions', 'dropColumns'],
+        renameRules: '',
+        droppedHeaders: DEFAULT_DROPPED_HEADERS,
+    },
+    legacyV1: {
+        label: 'Legacy v1 (no custom question expansion)',
+        steps: ['remapIds', 'dropColumns'],
+        renameRules: '',
+        droppedHeaders: DEFAULT_DROPPED_HEADERS,
+    },
+};
+
+/**
+ * How many rows the jobs keep as before/after samples for the results panel.
+ */
+const REMAPPER_SAMPLE_ROWS = 5;
+
+/**
+ * The two passes the Review Remapper makes over the reviews file (see csv-stream.js).
+ * "scan" gathers what has to be decided before anything is written: the review count
+ * per product ID (for matching and approval), every custom question and every custom
+ * questions cell that is not valid JSON. "transform" then runs the enabled steps over
+ * each row and streams the output.
+ */
+const REMAPPER_JOBS = {
+    scan: {
+        start: (header, { columns, repairJson }) => ({
+            header,
+            columns,
+            repairJson,
+            rowCount: 0,
+            productCounts: new Map(),
+            customQuestionHeaders: new Set(),
+            answerIssues: [],
+            sampleRows: [],
+        }),
+        rows: (rows, state) => {
+            const { productId, customQuestions, reviewId } = state.columns;
+            rows.forEach(row => {
+                state.rowCount++;
+                if (state.sampleRows.length < REMAPPER_SAMPLE_ROWS) state.sampleRows.push(row);
+                const oldProductId = productId === -1 ? '' : row[productId];
+                if (oldProductId) state.productCounts.set(oldProductId, (state.productCounts.get(oldProductId) || 0) + 1);
+                if (customQuestions !== -1) {
+                    const parsed = parseAnswersCell(row[customQuestions], { repair: state.repairJson });
+                    Object.keys(parsed.answers).forEach(key => state.customQuestionHeaders.add(key));
+                    // +1: header row and 1-based numbering
+                    const issue = describeCellIssue(parsed, state.rowCount + 1, reviewId === -1 ? '' : row[reviewId]);
+                    if (issue) state.answerIssues.push(issue);
+                }
+            });
+        },
+        finish: (state) => ({
+            header: state.header,
+            rowCount: state.rowCount,
+            productCounts: state.productCounts,
+            customQuestionHeaders: Array.from(state.customQuestionHeaders).sort(), // Sort headers alphabetically
+            answerIssues: state.answerIssues,
+            sampleRows: state.sampleRows,
+        }),
+    },
+    transform: {
+        start: (header, params, log) => {
+            const context = {
+                columns: params.columns,
+                productStats: params.productStats,
+                customQuestionHeaders: params.customQuestionHeaders,
+                repairJson: params.repairJson,
+                flagInvalidAnswers: params.flagInvalidAnswers,
+                renameMap: parseRenameRules(params.renameRules),
+                log,
+            };
+            const compiled = compileRemapperSteps(header, params.enabledSteps, context);
+            return { ...compiled, outputHeader: compiled.header, rowCount: 0, sampleRows: [], context };
+        },
+        rows: (rows, state) => rows.map(row => {
+            const output = state.mapRow(row);
+            state.rowCount++;
+            if (state.sampleRows.length < REMAPPER_SAMPLE_ROWS) state.sampleRows.push(output);
+            return output;
+        }),
+        finish: (state) => ({
+            header: state.header,
+            rowCount: state.rowCount,
+            sampleRows: state.sampleRows,
+            importValidation: state.context.importValidator ? state.context.importValidator.result() : null,
+        }),
+    },
+};
+
+/**
+ * Compiles the enabled steps against a header into one row transform.
+ * Each step sees the header (and column origins) left by the previous one;
+ * origins[i] is the index column i had in the uploaded file (-1 for columns a
+ * step added), so steps can keep addressing columns by their original index.
+ * @param {string[]} header - The header row of the uploaded file.
+ * @param {string[]} enabledStepIds - IDs of the steps to run.
+ * @param {Object} context - {columns, productStats, customQuestionHeaders, repairJson,
+ *   flagInvalidAnswers, renameMap, log(message, isError)}. Steps may leave results on it
+ *   (the validate step sets importValidator).
+ * @returns {{header: string[], origins: number[], mapRow: function(Array): Array}}
+ */
+function compileRemapperSteps(header, enabledStepIds, context) {
+    const mappers = [];
+    const shape = REMAPPER_STEPS
+        .filter(step => enabledStepIds.includes(step.id))
+        .reduce((current, step) => {
+            context.log(`Step: ${step.label}`);
+            const compiled = step.compile(current, context);
+            if (compiled.mapRow) mappers.push(compiled.mapRow);
+            return compiled;
+        }, { header, origins: header.map((_, index) => index) });
+
+    return {
+        header: shape.header,
+        origins: shape.origins,
+        mapRow: (row) => mappers.reduce((current, mapRow) => mapRow(current), row),
+    };
+}
+
+/**
+ * Replaces matched product IDs with their new IDs. Only settled (matched) products are rewritten.
+ */
+function compileRemapIds(shape, { columns, productStats, log }) {
+    const position = shape.origins.indexOf(columns.productId);
+    const unmatchedCount = Array.from(productStats.values()).filter(stat => !stat.matched).length;
+    log(`Remapped ${productStats.size - unmatchedCount} of ${productStats.size} unique product IDs.`);
+    if (unmatchedCount > 0) {
+        log(`Warning: ${unmatchedCount} unique product IDs from reviews file were not found. See the results panel below for the full list.`, true);
+    }
+
+    return {
+        ...shape,
+        mapRow: (row) => {
+            const stat = productStats.get(row[position]);
+            if (!stat || !stat.matched) return row;
+            const newRow = [...row];
+            newRow[position] = stat.newId;
+            return newRow;
+        },
+    };
+}
+
+/**
+ * Replaces the custom questions JSON column with one column per question.
+ * The questions are collected up front by the scan job (context.customQuestionHeaders).
+ * If the scan found cells that still fail to parse, their errors go into INVALID_ANSWERS_COLUMN.
+ */
+function compileExpandCustomQuestions(shape, { columns, customQuestionHeaders, repairJson, flagInvalidAnswers, log }) {
+    const position = shape.origins.indexOf(columns.customQuestions);
+    if (position === -1) {
+        log('No custom questions column mapped; nothing to expand.');
+        return shape;
+    }
+
+    if (customQuestionHeaders.length > 0) {
+        log(`Found and processed ${customQuestionHeaders.length} unique custom questions.`);
+    } else {
+        log("No custom question data found.");
+    }
+
+    const keep = (_, index) => index !== position;
+    const addedHeaders = flagInvalidAnswers ? [...customQuestionHeaders, INVALID_ANSWERS_COLUMN] : customQuestionHeaders;
+    return {
+        header: shape.header.filter(keep).concat(addedHeaders),
+        origins: shape.origins.filter(keep).concat(addedHeaders.map(() => -1)),
+        mapRow: (row) => {
+            const { answers, error } = parseAnswersCell(row[position], { repair: repairJson });
+            const cells = row.filter(keep).concat(customQuestionHeaders.map(header => formatAnswer(answers[header])));
+            if (flagInvalidAnswers) cells.push(error || '');
+            return cells;
+        },
+    };
+}
+
+/**
+ * Removes the columns picked under "Columns to Remove".
+ */
+function compileDropColumns(shape, { columns, log }) {
+    const dropped = new Set(columns.dropped);
+    const keep = (_, index) => !dropped.has(shape.origins[index]);
+    const removed = shape.header.filter((_, index) => !keep(_, index));
+    log(`Removing columns: ${removed.join(', ') || '(none)'}`);
+
+    return {
+        header: shape.header.filter(keep),
+        origins: shape.origins.filter(keep),
+        mapRow: (row) => row.filter(keep),
+    };
+}
+
+/**
+ * Renames headers according to the rename rules. Data is left untouched.
+ */
+function compileRenameHeaders(shape, { renameMap, log }) {
+    const unused = new Set(renameMap.keys());
+    const header = shape.header.map(name => {
+        if (!renameMap.has(name)) return name;
+        unused.delete(name);
+        return renameMap.get(name);
+    });
+
+    log(`Renamed ${renameMap.size - unused.size} headers.`);
+    if (unused.size > 0) {
+        log(`Warning: No column named ${Array.from(unused).map(name => `"${name}"`).join(', ')} to rename.`, true);
+    }
+    return { ...shape, header };
+}
+
+/**
+ * Checks every output row against the review import format (import-validator.js).
+ * Rows pass through unchanged; the findings are returned by the transform job.
+ */
+function compileValidateImport(shape, context) {
+    const validator = createImportValidator(shape.header);
+    context.importValidator = validator;
+    let rowNumber = 1; // The header is row 1
+    return {
+        ...shape,
+        mapRow: (row) => {
+            validator.check(row, ++rowNumber);
+            return row;
+        },
+    };
+}
+
+/**
+ * Parses rename rules, one "Old Header -> New Header" per line.
+ * @param {string} text - The rules as typed by the user.
+ * @returns {Map} Old header -> new header.
+ */
+function parseRenameRules(text) {
+    const renameMap = new Map();
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        const parts = line.split('->');
+        if (parts.length !== 2 || !parts[0].trim() || !parts[1].trim()) {
+            throw new Error(`Invalid rename rule "${line}". Use "Old Header -> New Header".`);
+        }
+        renameMap.set(parts[0].trim(), parts[1].trim());
+    });
+    return renameMap;
+}
@@ -0,0 +1,17 @@
+/**
+ * Stool - Review Remapper Worker
+ * Runs the Review Remapper's passes over the reviews file (REMAPPER_JOBS) off the
+ * main thread, so large exports don't freeze the page. Started by CsvTool.runJob.
+ */
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.4.1/papaparse.min.js',
+    'csv-stream.js',
+    'custom-questions.js',
+    'import-validator.js',
+    'review-remapper-steps.js'
+);
+
+self.onmessage = (event) => {
+    const { job, file, params } = event.data;
+    streamCsvJob(REMAPPER_JOBS[job], file, params, (message) => self.postMessage(message));
+};
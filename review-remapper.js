@@ -1,273 +1,899 @@
-/**
- * Stool - Review Product Remapper
- * This script performs a VLOOKUP-like operation to remap product IDs in a reviews CSV,
- * removes specified columns, and provides a downloadable result.
- * Includes diagnostic logging to the console and drag-and-drop functionality.
- */
-
-// --- 1. ELEMENT REFERENCES ---
-const remappingFileInput = document.getElementById('remappingFileInput');
-const remappingFileName = document.getElementById('remappingFileName');
-const remappingDropZone = document.getElementById('remappingDropZone');
-const remappingPrompt = document.getElementById('remappingPrompt');
-
-const reviewsFileInput = document.getElementById('reviewsFileInput');
-const reviewsFileName = document.getElementById('reviewsFileName');
-const reviewsDropZone = document.getElementById('reviewsDropZone');
-const reviewsPrompt = document.getElementById('reviewsPrompt');
-
-const processBtn = document.getElementById('processBtn');
-const logContainer = document.getElementById('logContainer');
-const logOutput = document.getElementById('logOutput');
-const downloadArea = document.getElementById('downloadArea');
-const downloadLink = document.getElementById('downloadLink');
-const downloadFileNameInput = document.getElementById('downloadFileName');
-const startOverBtn = document.getElementById('startOverBtn');
-
-// --- 2. GLOBAL STATE ---
-let remappingData = null;
-let reviewsData = null;
-let reviewsHeader = null;
-
-// --- 3. EVENT LISTENERS & SETUP ---
-processBtn.addEventListener('click', processFiles);
-startOverBtn.addEventListener('click', startOver);
-downloadFileNameInput.addEventListener('input', () => {
-    const fileName = downloadFileNameInput.value.trim();
-    downloadLink.download = fileName.endsWith('.csv') ? fileName : `${fileName}.csv`;
-});
-
-// Setup file inputs and drop zones for both sections
-setupFileInput('remapping', remappingFileInput, remappingDropZone);
-setupFileInput('reviews', reviewsFileInput, reviewsDropZone);
-
-
-/**
- * Sets up both the standard file input and drag-and-drop functionality for a zone.
- * @param {string} type - 'remapping' or 'reviews'.
- * @param {HTMLElement} inputElement - The <input type="file"> element.
- * @param {HTMLElement} dropZoneElement - The div acting as the drop zone.
- */
-function setupFileInput(type, inputElement, dropZoneElement) {
-    // Handle file selection via the "Choose File" button
-    inputElement.addEventListener('change', (e) => {
-        if (e.target.files.length) {
-            handleFile(e.target.files[0], type);
-        }
-    });
-
-    // Prevent default browser behavior for drag events
-    ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
-        dropZoneElement.addEventListener(eventName, (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-        }, false);
-    });
-
-    // Add visual feedback for dragging over
-    ['dragenter', 'dragover'].forEach(eventName => {
-        dropZoneElement.addEventListener(eventName, () => dropZoneElement.classList.add('drop-zone--over'), false);
-    });
-
-    // Remove visual feedback
-    ['dragleave', 'drop'].forEach(eventName => {
-        dropZoneElement.addEventListener(eventName, () => dropZoneElement.classList.remove('drop-zone--over'), false);
-    });
-
-    // Handle the file drop
-    dropZoneElement.addEventListener('drop', (e) => {
-        if (e.dataTransfer.files.length) {
-            inputElement.files = e.dataTransfer.files; // Assign dropped file to the hidden input
-            handleFile(e.dataTransfer.files[0], type);
-        }
-    }, false);
-}
-
-
-/**
- * Resets the entire interface to its initial state.
- */
-function startOver() {
-    // Reset state variables
-    remappingData = null;
-    reviewsData = null;
-    reviewsHeader = null;
-
-    // Reset file inputs to allow re-uploading the same file
-    remappingFileInput.value = '';
-    reviewsFileInput.value = '';
-    
-    // Reset Remapping Zone UI
-    remappingPrompt.classList.remove('hidden');
-    remappingFileName.classList.add('hidden');
-    remappingFileName.textContent = '';
-    
-    // Reset Reviews Zone UI
-    reviewsPrompt.classList.remove('hidden');
-    reviewsFileName.classList.add('hidden');
-    reviewsFileName.textContent = '';
-    
-    // Reset buttons and log/download areas
-    logOutput.value = '';
-    processBtn.disabled = true;
-    processBtn.classList.remove('hidden');
-
-    logContainer.classList.add('hidden');
-    downloadArea.classList.add('hidden');
-}
-
-
-/**
- * Processes a single file (from either drop or input) and triggers parsing.
- * @param {File} file - The file to process.
- * @param {string} type - 'remapping' or 'reviews'.
- */
-function handleFile(file, type) {
-    const promptElement = (type === 'remapping') ? remappingPrompt : reviewsPrompt;
-    const fileNameElement = (type === 'remapping') ? remappingFileName : reviewsFileName;
-
-    if (!file || !file.type.match('text/csv')) {
-        alert('Invalid file type. Please select a CSV file.');
-        return;
-    }
-
-    // Update UI to show the selected file name
-    promptElement.classList.add('hidden');
-    fileNameElement.classList.remove('hidden');
-    fileNameElement.textContent = file.name;
-    
-    logOutput.value = '';
-    logContainer.classList.remove('hidden');
-    logToScreen(`Parsing ${file.name}...`);
-
-    Papa.parse(file, {
-        header: false,
-        skipEmptyLines: true,
-        dynamicTyping: false,
-        complete: (results) => {
-            if (type === 'remapping') {
-                if (results.data.length > 0) results.data.shift();
-                remappingData = results.data;
-                logToScreen(`✅ Loaded ${remappingData.length} mapping rows.`);
-            } else {
-                reviewsHeader = results.data.shift();
-                reviewsData = results.data;
-                logToScreen(`✅ Loaded ${reviewsData.length} reviews.`);
-            }
-            checkEnableProcessButton();
-        },
-        error: (error) => logToScreen(`CSV Parsing Error: ${error.message}`, true),
-    });
-}
-
-
-/**
- * Enables the process button only when both files have been loaded.
- */
-function checkEnableProcessButton() {
-    if (remappingData && reviewsData) {
-        processBtn.disabled = false;
-        logToScreen("Both files loaded. Ready to process.");
-    }
-}
-
-/**
- * A robust cleaning function to normalize product IDs for comparison.
- */
-function cleanString(str) {
-    if (typeof str !== 'string') return '';
-    let cleaned = str.replace(/[\s\u00A0]+/g, '').toLowerCase();
-    if (/^\d+$/.test(cleaned)) {
-        cleaned = cleaned.replace(/^0+/, '');
-    }
-    return cleaned;
-}
-
-/**
- * Main function to orchestrate the remapping and cleaning process.
- */
-function processFiles() {
-    if (!remappingData || !reviewsData) {
-        logToScreen("Error: Both files must be uploaded before processing.", true);
-        return;
-    }
-
-    logToScreen("\n--- Starting Process ---");
-    console.clear();
-    processBtn.disabled = true;
-    downloadArea.classList.add('hidden');
-
-    try {
-        const lookupMap = new Map();
-        remappingData.forEach(row => {
-            const oldId = row[0];
-            const newId = row[4];
-            if (oldId && newId) {
-                lookupMap.set(cleanString(oldId), newId.toString().trim());
-            }
-        });
-        logToScreen(`Created lookup map with ${lookupMap.size} entries.`);
-
-        console.log("--- DIAGNOSTICS: Remapping Keys (Sample) ---");
-        const mapKeys = Array.from(lookupMap.keys());
-        for(let i = 0; i < Math.min(mapKeys.length, 5); i++) {
-            console.log(`'${mapKeys[i]}'`);
-        }
-        console.log("------------------------------------");
-
-        let remapCount = 0;
-        let notFoundSet = new Set();
-        const remappedReviews = reviewsData.map(reviewRow => {
-            const newRow = [...reviewRow];
-            const oldProductId = newRow[11]; // Column L
-            if (oldProductId) {
-                const lookupKey = cleanString(oldProductId);
-                if (lookupMap.has(lookupKey)) {
-                    newRow[11] = lookupMap.get(lookupKey);
-                    remapCount++;
-                } else {
-                    if (!notFoundSet.has(oldProductId)) {
-                        console.warn(`ID not found in map: '${oldProductId}' (cleaned to '${lookupKey}')`);
-                        notFoundSet.add(oldProductId);
-                    }
-                }
-            }
-            return newRow;
-        });
-
-        logToScreen(`Remapped ${remapCount} product IDs in the reviews file.`);
-        if (notFoundSet.size > 0) {
-            logToScreen(`Warning: ${notFoundSet.size} unique product IDs from reviews file were not found. Check developer console (F12) for a list.`, true);
-        }
-
-        const indicesToRemove = new Set([0, 1, 12, 13, 14, 15, 16, 22]);
-        const finalHeader = reviewsHeader.filter((_, index) => !indicesToRemove.has(index));
-        const finalData = remappedReviews.map(row => row.filter((_, index) => !indicesToRemove.has(index)));
-        logToScreen(`Cleaned and removed columns from ${finalData.length} rows.`);
-
-        const finalCsvData = [finalHeader, ...finalData];
-        const csvString = Papa.unparse(finalCsvData);
-        const blob = new Blob([csvString], { type: 'text/csv;charset=utf-8;' });
-        const url = URL.createObjectURL(blob);
-        
-        downloadLink.href = url;
-        downloadArea.classList.remove('hidden');
-        processBtn.classList.add('hidden');
-        logToScreen("\n--- PROCESS COMPLETE ---");
-        logToScreen("✅ Output file is ready for download.");
-
-    } catch (error) {
-        logToScreen(`❌ CRITICAL ERROR: ${error.message}`, true);
-        processBtn.disabled = false;
-    }
-}
-
-/**
- * Appends a timestamped message to the log area.
- */
-function logToScreen(message, isError = false) {
-    const timestamp = new Date().toLocaleTimeString();
-    logOutput.value += `[${timestamp}] ${message}\n`;
-    if (isError) console.error(message);
-    logOutput.scrollTop = logOutput.scrollHeight;
-}
\ No newline at end of file
+/**
+ * Stool - Review Product Remapper
+ * This script performs a VLOOKUP-like operation to remap product IDs,
+ * dynamically unnests custom question data from a JSON column,
+ * removes and renames columns, and provides a downloadable result.
+ * Each transformation is a step from review-remapper-steps.js that can be
+ * toggled per run; step selections can be saved as presets.
+ * The reviews file is never loaded whole: it is streamed through a Web Worker
+ * twice (scan, then transform) and the output is streamed into the download.
+ */
+
+// --- 1. ELEMENT REFERENCES ---
+const remappingFileInput = document.getElementById('remappingFileInput');
+const remappingFileName = document.getElementById('remappingFileName');
+const remappingDropZone = document.getElementById('remappingDropZone');
+const remappingPrompt = document.getElementById('remappingPrompt');
+
+const reviewsFileInput = document.getElementById('reviewsFileInput');
+const reviewsFileName = document.getElementById('reviewsFileName');
+const reviewsDropZone = document.getElementById('reviewsDropZone');
+const reviewsPrompt = document.getElementById('reviewsPrompt');
+
+const processBtn = document.getElementById('processBtn');
+const logContainer = document.getElementById('logContainer');
+const logOutput = document.getElementById('logOutput');
+const downloadArea = document.getElementById('downloadArea');
+const downloadLink = document.getElementById('downloadLink');
+const downloadFileNameInput = document.getElementById('downloadFileName');
+const startOverBtn = document.getElementById('startOverBtn');
+const progressArea = document.getElementById('progressArea');
+const progressBar = document.getElementById('progressBar');
+const progressText = document.getElementById('progressText');
+const etrText = document.getElementById('etrText');
+
+const presetSelect = document.getElementById('presetSelect');
+const savePresetBtn = document.getElementById('savePresetBtn');
+const deletePresetBtn = document.getElementById('deletePresetBtn');
+const stepsList = document.getElementById('stepsList');
+const renameRulesInput = document.getElementById('renameRules');
+
+const columnMappingArea = document.getElementById('columnMappingArea');
+const oldIdColumnSelect = document.getElementById('oldIdColumnSelect');
+const newIdColumnSelect = document.getElementById('newIdColumnSelect');
+const productIdColumnSelect = document.getElementById('productIdColumnSelect');
+const customQuestionsColumnSelect = document.getElementById('customQuestionsColumnSelect');
+const dropColumnsList = document.getElementById('dropColumnsList');
+
+const resultsArea = document.getElementById('resultsArea');
+const resultsSummary = document.getElementById('resultsSummary');
+const productStatsTable = document.getElementById('productStatsTable');
+const beforeSampleTable = document.getElementById('beforeSampleTable');
+const afterSampleTable = document.getElementById('afterSampleTable');
+const downloadUnmatchedBtn = document.getElementById('downloadUnmatchedBtn');
+const validationTable = document.getElementById('validationTable');
+const downloadValidationBtn = document.getElementById('downloadValidationBtn');
+const importValidationSummary = document.getElementById('importValidationSummary');
+const importValidationTable = document.getElementById('importValidationTable');
+const downloadImportValidationBtn = document.getElementById('downloadImportValidationBtn');
+const repairJsonCheckbox = document.getElementById('repairJson');
+
+const matchPunctuationCheckbox = document.getElementById('matchPunctuation');
+const stripPrefixesInput = document.getElementById('stripPrefixes');
+const stripSuffixesInput = document.getElementById('stripSuffixes');
+const regexRulesInput = document.getElementById('regexRules');
+const fuzzyMatchCheckbox = document.getElementById('fuzzyMatch');
+const maxEditDistanceInput = document.getElementById('maxEditDistance');
+const reviewAllNonExactCheckbox = document.getElementById('reviewAllNonExact');
+const approvalArea = document.getElementById('approvalArea');
+const approvalTable = document.getElementById('approvalTable');
+const selectAllApprovalsBtn = document.getElementById('selectAllApprovalsBtn');
+const applyApprovalsBtn = document.getElementById('applyApprovalsBtn');
+
+const conflictArea = document.getElementById('conflictArea');
+const conflictSummary = document.getElementById('conflictSummary');
+const conflictsTable = document.getElementById('conflictsTable');
+const chainsTable = document.getElementById('chainsTable');
+const mergesTable = document.getElementById('mergesTable');
+const conflictRuleSelect = document.getElementById('conflictRuleSelect');
+const chainRuleSelect = document.getElementById('chainRuleSelect');
+const applyConflictRulesBtn = document.getElementById('applyConflictRulesBtn');
+
+const remappingZone = { input: remappingFileInput, dropZone: remappingDropZone, prompt: remappingPrompt, fileName: remappingFileName };
+const reviewsZone = { input: reviewsFileInput, dropZone: reviewsDropZone, prompt: reviewsPrompt, fileName: reviewsFileName };
+const logger = CsvTool.createLogger(logOutput);
+const logToScreen = logger.log;
+const downloads = CsvTool.createDownloadManager(downloadLink);
+
+// --- 2. GLOBAL STATE & CONFIGURATION ---
+let remappingData = null;
+let remappingHeader = null;
+let reviewsFile = null;
+let reviewsHeader = null;
+let lastProductStats = null;
+let lastAnswerIssues = [];
+let lastImportValidation = null;
+let pendingRun = null; // Holds a run that is waiting for conflict rules or match approvals
+let activeJob = null; // The worker job currently reading the reviews file, if any
+
+const MAX_PRODUCT_ROWS_SHOWN = 200;
+const MAX_REPORT_ROWS_SHOWN = 200;
+const PRESETS_STORAGE_KEY = 'stool.reviewRemapper.presets';
+const WORKER_URL = 'review-remapper-worker.js';
+
+/**
+ * Header names each column is auto-detected from, in order of preference.
+ * Matching ignores case, spaces and punctuation (see CsvTool.normalizeHeader).
+ * A required column is only required while the step that uses it is enabled.
+ */
+const MAPPING_COLUMNS = {
+    oldId: { label: 'Old Product ID', required: true, step: 'remapIds', candidates: ['Old ID', 'Old Product ID', 'Original Product ID', 'Old SKU', 'Source ID'] },
+    newId: { label: 'New Product ID', required: true, step: 'remapIds', candidates: ['New ID', 'New Product ID', 'Target Product ID', 'New SKU', 'Target ID'] },
+};
+const REVIEW_COLUMNS = {
+    productId: { label: 'Product ID', required: true, step: 'remapIds', candidates: ['Product ID', 'Product External ID', 'External Product ID', 'Product SKU', 'SKU'] },
+    customQuestions: { label: 'Custom Questions', required: false, step: 'expandCustomQuestions', candidates: ['Review Custom Questions', 'Custom Questions'] },
+};
+// Only used to identify rows in the custom questions validation report.
+const REVIEW_ID_CANDIDATES = ['Review ID', 'ID'];
+
+// --- 3. EVENT LISTENERS & SETUP ---
+processBtn.addEventListener('click', handleProcessClick);
+startOverBtn.addEventListener('click', startOver);
+downloadUnmatchedBtn.addEventListener('click', downloadUnmatchedReport);
+downloadValidationBtn.addEventListener('click', () => {
+    downloads.downloadCsv(validationReportRows(lastAnswerIssues), 'custom_questions_validation.csv');
+});
+downloadImportValidationBtn.addEventListener('click', () => {
+    downloads.downloadCsv(importReportRows(lastImportValidation), 'import_validation.csv');
+});
+applyApprovalsBtn.addEventListener('click', applyApprovals);
+applyConflictRulesBtn.addEventListener('click', applyConflictRules);
+selectAllApprovalsBtn.addEventListener('click', () => {
+    approvalTable.querySelectorAll('input[type="checkbox"]').forEach(checkbox => { checkbox.checked = true; });
+});
+presetSelect.addEventListener('change', () => applyPreset(presetSelect.value));
+savePresetBtn.addEventListener('click', saveCurrentPreset);
+deletePresetBtn.addEventListener('click', deleteCurrentPreset);
+stepsList.addEventListener('change', checkEnableProcessButton);
+CsvTool.bindFileNameInput(downloadFileNameInput, downloadLink);
+
+CsvTool.setupDropZone(remappingZone, (file) => handleFile(file, 'remapping'));
+CsvTool.setupDropZone(reviewsZone, (file) => handleFile(file, 'reviews'));
+[oldIdColumnSelect, newIdColumnSelect, productIdColumnSelect].forEach(select => {
+    select.addEventListener('change', () => select.classList.toggle('field-error', select.value === ''));
+});
+
+renderStepsList();
+populatePresetSelect('default');
+applyPreset('default');
+
+// --- 4. CORE FUNCTIONS ---
+
+/**
+ * Handles the primary button click, starting the process or cancelling the running job.
+ */
+function handleProcessClick() {
+    if (activeJob) {
+        logToScreen('--- CANCELLATION REQUESTED ---', true);
+        activeJob.cancel();
+        return;
+    }
+    processFiles();
+}
+
+/**
+ * Main function to orchestrate the entire remapping and data transformation process.
+ */
+async function processFiles() {
+    const enabledSteps = getEnabledSteps();
+    const remapEnabled = enabledSteps.includes('remapIds');
+    if (!reviewsFile || (remapEnabled && !remappingData)) {
+        logToScreen(remapEnabled ? "Error: Both files must be uploaded before processing." : "Error: The reviews file must be uploaded before processing.", true);
+        return;
+    }
+
+    logToScreen("\n--- Starting Process ---");
+    console.clear();
+    processBtn.disabled = true;
+    downloadArea.classList.add('hidden');
+    resultsArea.classList.add('hidden');
+    approvalArea.classList.add('hidden');
+    conflictArea.classList.add('hidden');
+
+    try {
+        const columns = resolveColumnMapping(enabledSteps);
+        parseRenameRules(renameRulesInput.value); // Fail before any matching work if a rule is malformed
+        logToScreen(`Steps: ${REMAPPER_STEPS.filter(step => enabledSteps.includes(step.id)).map(step => step.label).join(' → ') || '(none)'}`);
+
+        if (!remapEnabled) {
+            await completeProcessing(enabledSteps, columns, null, await scanReviews(columns));
+            return;
+        }
+
+        // --- STEP 1: Check the Mapping File ---
+        const analysis = analyzeMappings(remappingData, columns.oldId, columns.newId);
+        logMappingAnalysis(analysis);
+        if (analysis.conflicts.length > 0 || analysis.chains.length > 0) {
+            pendingRun = { enabledSteps, columns, analysis };
+            renderConflictView(analysis);
+            logToScreen('The mapping file has conflicting or chained entries. Choose how to resolve them below.', true);
+            return;
+        }
+        await matchAndContinue(enabledSteps, columns, createLookupMap(analysis, DEFAULT_CONFLICT_RULES));
+    } catch (error) {
+        handleProcessError(error);
+    }
+}
+
+/**
+ * Resolves the pending run's mapping file with the chosen rules and carries on.
+ */
+async function applyConflictRules() {
+    if (!pendingRun) return;
+    const { enabledSteps, columns, analysis } = pendingRun;
+    pendingRun = null;
+    conflictArea.classList.add('hidden');
+
+    const rules = { conflict: conflictRuleSelect.value, chain: chainRuleSelect.value };
+    logToScreen(`Applying mapping rules: conflicts = ${rules.conflict}, chains = ${rules.chain}.`);
+    try {
+        await matchAndContinue(enabledSteps, columns, createLookupMap(analysis, rules));
+    } catch (error) {
+        handleProcessError(error);
+    }
+}
+
+/**
+ * Scans the reviews file, then matches every product ID against the lookup map,
+ * pausing for approval of low-confidence matches before the output is built.
+ * @param {string[]} enabledSteps - The steps enabled when the run started.
+ * @param {Object} columns - The column indices from resolveColumnMapping.
+ * @param {Map} lookupMap - The resolved map from createLookupMap.
+ */
+async function matchAndContinue(enabledSteps, columns, lookupMap) {
+    const matcher = createMatcher(lookupMap, readMatchingOptions());
+    const scan = await scanReviews(columns);
+
+    // --- STEP 2: Match Product IDs ---
+    const productStats = matchProductIds(scan.productCounts, matcher);
+    logMatchMethods(productStats);
+
+    const pending = Array.from(productStats.entries()).filter(([, stat]) => stat.pending);
+    if (pending.length > 0) {
+        pendingRun = { enabledSteps, columns, productStats, scan };
+        renderApprovalTable(pending);
+        logToScreen(`${pending.length} low-confidence matches need approval before the output is written.`, true);
+        return;
+    }
+    await completeProcessing(enabledSteps, columns, productStats, scan);
+}
+
+/**
+ * Writes approved matches into the run held by matchAndContinue and finishes it.
+ */
+async function applyApprovals() {
+    if (!pendingRun) return;
+    const { enabledSteps, columns, productStats, scan } = pendingRun;
+    pendingRun = null;
+
+    let approvedCount = 0;
+    approvalTable.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        const stat = productStats.get(checkbox.value);
+        stat.pending = false;
+        stat.matched = checkbox.checked;
+        if (checkbox.checked) approvedCount++;
+    });
+    logToScreen(`Approved ${approvedCount} low-confidence matches; the rest are left unmatched.`);
+    approvalArea.classList.add('hidden');
+
+    try {
+        await completeProcessing(enabledSteps, columns, productStats, scan);
+    } catch (error) {
+        handleProcessError(error);
+    }
+}
+
+/**
+ * Streams the reviews file through the enabled steps once every product match is settled.
+ * @param {string[]} enabledSteps - The steps enabled when the run started, which columns
+ *   and productStats were resolved for; toggles changed while the run waited don't apply.
+ * @param {Object} columns - The column indices from resolveColumnMapping.
+ * @param {?Map} productStats - The settled matches from matchProductIds (null when remapping is off).
+ * @param {Object} scan - The result of scanReviews.
+ */
+async function completeProcessing(enabledSteps, columns, productStats, scan) {
+    const { result, blob } = await runReviewsJob('transform', 'Writing output', {
+        columns,
+        productStats,
+        customQuestionHeaders: scan.customQuestionHeaders,
+        repairJson: repairJsonCheckbox.checked,
+        flagInvalidAnswers: scan.answerIssues.some(issue => issue.status === 'Invalid'),
+        enabledSteps,
+        renameRules: renameRulesInput.value,
+    });
+
+    generateDownloadableFile(blob);
+    renderResults(productStats, scan, result);
+    renderValidationReport(scan.answerIssues);
+    renderImportValidation(result.importValidation);
+    logToScreen("\n--- PROCESS COMPLETE ---");
+    logToScreen(`✅ Output file with ${result.rowCount} reviews is ready for download.`);
+}
+
+/**
+ * First pass over the reviews file: counts reviews per product ID and collects
+ * the custom questions, without keeping the rows.
+ * @param {Object} columns - The column indices from resolveColumnMapping.
+ * @returns {Promise<Object>} {header, rowCount, productCounts, customQuestionHeaders, answerIssues, sampleRows}.
+ */
+async function scanReviews(columns) {
+    const { result } = await runReviewsJob('scan', 'Scanning reviews', { columns, repairJson: repairJsonCheckbox.checked });
+    logToScreen(`Scanned ${result.rowCount} reviews (${result.productCounts.size} unique product IDs).`);
+
+    const invalidCount = result.answerIssues.filter(issue => issue.status === 'Invalid').length;
+    const repairedCount = result.answerIssues.length - invalidCount;
+    if (repairedCount > 0) logToScreen(`Repaired ${repairedCount} custom questions cells that were not valid JSON.`);
+    if (invalidCount > 0) {
+        logToScreen(`Warning: ${invalidCount} custom questions cells are not valid JSON. They will be flagged in the "${INVALID_ANSWERS_COLUMN}" column if custom questions are expanded.`, true);
+    }
+    return result;
+}
+
+/**
+ * Runs one of REMAPPER_JOBS over the reviews file in the background, showing its
+ * progress and turning the process button into a Cancel button while it runs.
+ * @param {string} job - 'scan' or 'transform'.
+ * @param {string} label - Shown next to the progress bar.
+ * @param {Object} params - The job's parameters.
+ * @returns {Promise<{result: Object, blob: ?Blob}>}
+ */
+async function runReviewsJob(job, label, params) {
+    const startTime = Date.now();
+    setupUIForJob(label);
+    activeJob = CsvTool.runJob({
+        workerUrl: WORKER_URL,
+        jobs: REMAPPER_JOBS,
+        job,
+        file: reviewsFile,
+        params,
+        onProgress: ({ fraction, rows }) => updateProgressUI(label, fraction, rows, startTime),
+        onLog: logToScreen,
+    });
+    try {
+        return await activeJob.promise;
+    } finally {
+        activeJob = null;
+        resetUIAfterJob();
+    }
+}
+
+/**
+ * Logs a failed or cancelled run and lets the user try again.
+ */
+function handleProcessError(error) {
+    if (error.cancelled) logToScreen('Process cancelled by user.', true);
+    else logToScreen(`❌ CRITICAL ERROR: ${error.message}`, true);
+    processBtn.disabled = !reviewsFile; // Start Over may have cleared the files meanwhile
+}
+
+/**
+ * Reads the column picker and returns the index of every column the process needs.
+ * Throws if a required column has not been mapped, so a shifted export can never
+ * be processed against the wrong column.
+ * @param {string[]} enabledSteps - IDs of the steps that will run.
+ * @returns {{oldId: number, newId: number, productId: number, customQuestions: number, dropped: number[], reviewId: number}}
+ */
+function resolveColumnMapping(enabledSteps) {
+    const selected = {
+        oldId: oldIdColumnSelect,
+        newId: newIdColumnSelect,
+        productId: productIdColumnSelect,
+        customQuestions: customQuestionsColumnSelect,
+    };
+    const specs = { ...MAPPING_COLUMNS, ...REVIEW_COLUMNS };
+    const columns = {};
+    const missing = [];
+
+    Object.entries(selected).forEach(([key, select]) => {
+        columns[key] = select.value === '' ? -1 : parseInt(select.value, 10);
+        if (specs[key].required && enabledSteps.includes(specs[key].step) && columns[key] === -1) {
+            select.classList.add('field-error');
+            missing.push(specs[key].label);
+        }
+    });
+    if (missing.length > 0) {
+        throw new Error(`Required column(s) not mapped: ${missing.join(', ')}. Choose them under "Column Mapping".`);
+    }
+
+    columns.dropped = Array.from(dropColumnsList.querySelectorAll('input[type="checkbox"]:checked'))
+        .map(checkbox => parseInt(checkbox.value, 10));
+    columns.reviewId = CsvTool.detectColumn(reviewsHeader, REVIEW_ID_CANDIDATES);
+    return columns;
+}
+
+/**
+ * Creates the lookup map from the analyzed remapping data, logging every
+ * conflict or chain resolution so the log records which rule was applied.
+ * @param {Object} analysis - The result of analyzeMappings.
+ * @param {Object} rules - The conflict and chain rules (see DEFAULT_CONFLICT_RULES).
+ * @returns {Map} A map of oldId -> newId.
+ */
+function createLookupMap(analysis, rules) {
+    const { lookupMap, resolutions } = buildLookupMap(analysis, rules);
+    resolutions.forEach(resolution => logToScreen(resolution));
+    logToScreen(`Created lookup map with ${lookupMap.size} entries.`);
+    return lookupMap;
+}
+
+/**
+ * Logs a summary of the problems analyzeMappings found in the mapping file.
+ */
+function logMappingAnalysis(analysis) {
+    if (analysis.duplicates.length > 0) {
+        logToScreen(`Note: ${analysis.duplicates.length} old IDs are listed more than once with the same new ID.`);
+    }
+    if (analysis.merges.length > 0) {
+        logToScreen(`Note: ${analysis.merges.length} new IDs receive reviews from more than one old ID (many-to-one merges).`);
+        analysis.merges.forEach(({ newId, oldIds }) => logToScreen(`  Merge: ${oldIds.map(id => `'${id}'`).join(', ')} -> '${newId}'`));
+    }
+    if (analysis.conflicts.length > 0) {
+        logToScreen(`Warning: ${analysis.conflicts.length} old IDs map to more than one new ID.`, true);
+    }
+    if (analysis.chains.length > 0) {
+        logToScreen(`Warning: ${analysis.chains.length} mappings point to an ID that is itself remapped (A -> B, B -> C).`, true);
+    }
+}
+
+/**
+ * Reads the matching options from the UI.
+ * @returns {Object} Options for createMatcher.
+ */
+function readMatchingOptions() {
+    const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+    const regexRules = regexRulesInput.value.split('\n').map(line => line.trim()).filter(Boolean).map(pattern => {
+        try {
+            return new RegExp(pattern, 'i');
+        } catch (e) {
+            throw new Error(`Invalid regex rule "${pattern}": ${e.message}`);
+        }
+    });
+
+    return {
+        punctuation: matchPunctuationCheckbox.checked,
+        prefixes: splitList(stripPrefixesInput.value),
+        suffixes: splitList(stripSuffixesInput.value),
+        regexRules,
+        fuzzy: fuzzyMatchCheckbox.checked,
+        maxEditDistance: Math.max(1, parseInt(maxEditDistanceInput.value, 10) || 1),
+        reviewAllNonExact: reviewAllNonExactCheckbox.checked,
+    };
+}
+
+/**
+ * Matches every unique product ID in the reviews against the remapping file.
+ * @param {Map} productCounts - Review count per original product ID, from scanReviews.
+ * @param {function} matcher - The matcher from createMatcher.
+ * @returns {Map} Per original product ID: its lookup key, new ID, match method and
+ *   confidence, whether it is matched or still pending approval, and its review count.
+ */
+function matchProductIds(productCounts, matcher) {
+    const productStats = new Map();
+    productCounts.forEach((reviewCount, oldProductId) => {
+        const match = matcher(oldProductId);
+        productStats.set(oldProductId, {
+            lookupKey: cleanString(oldProductId),
+            newId: match ? match.newId : null,
+            method: match ? match.method : '',
+            confidence: match ? match.confidence : '',
+            detail: match ? match.detail : '',
+            matched: Boolean(match) && match.confidence === 'high',
+            pending: Boolean(match) && match.confidence === 'low',
+            reviewCount,
+        });
+    });
+    return productStats;
+}
+
+/**
+ * Logs how many products each matching strategy found.
+ */
+function logMatchMethods(productStats) {
+    const counts = {};
+    productStats.forEach(stat => {
+        if (stat.method) counts[stat.method] = (counts[stat.method] || 0) + 1;
+    });
+    Object.entries(counts).forEach(([method, count]) => logToScreen(`Matched ${count} products by ${method}.`));
+}
+
+/**
+ * Makes the streamed output file available for download.
+ * @param {Blob} blob - The output CSV built by the transform job.
+ */
+function generateDownloadableFile(blob) {
+    downloads.setBlob(blob);
+    downloadArea.classList.remove('hidden');
+    processBtn.classList.add('hidden');
+}
+
+
+/**
+ * Fills the results panel: match totals, a per-product breakdown (unmatched first)
+ * and before/after samples of the first few rows.
+ * @param {?Map} productStats - Per-product results from matchProductIds (null when remapping is off).
+ * @param {Object} before - The scan result: original header, row count and sample rows.
+ * @param {Object} after - The transform result: final header, row count and sample rows.
+ */
+function renderResults(productStats, before, after) {
+    lastProductStats = productStats;
+    CsvTool.renderTable(beforeSampleTable, [before.header, ...before.sampleRows]);
+    CsvTool.renderTable(afterSampleTable, [after.header, ...after.sampleRows]);
+    productStatsTable.closest('.input-group').classList.toggle('hidden', !productStats);
+    resultsArea.classList.remove('hidden');
+
+    resultsSummary.innerHTML = '';
+    if (!productStats) {
+        [
+            ['Reviews', after.rowCount],
+            ['Columns before', before.header.length],
+            ['Columns after', after.header.length],
+        ].forEach(([label, value]) => CsvTool.renderStatCard(resultsSummary, label, value));
+        return;
+    }
+
+    const stats = Array.from(productStats.entries());
+    const matched = stats.filter(([, stat]) => stat.matched);
+    const unmatched = stats.filter(([, stat]) => !stat.matched);
+    const reviewTotal = (entries) => entries.reduce((sum, [, stat]) => sum + stat.reviewCount, 0);
+
+    [
+        ['Matched products', matched.length],
+        ['Unmatched products', unmatched.length],
+        ['Reviews remapped', reviewTotal(matched)],
+        ['Reviews not remapped', reviewTotal(unmatched)],
+    ].forEach(([label, value]) => CsvTool.renderStatCard(resultsSummary, label, value));
+
+    const sortedStats = [...unmatched, ...matched].slice(0, MAX_PRODUCT_ROWS_SHOWN);
+    CsvTool.renderTable(productStatsTable, [
+        ['Old Product ID', 'Lookup Key', 'New Product ID', 'Reviews', 'Status', 'Match Method'],
+        ...sortedStats.map(([oldId, stat]) => [
+            oldId,
+            stat.lookupKey,
+            stat.matched ? stat.newId : '—',
+            stat.reviewCount,
+            stat.matched ? 'Matched' : (stat.method ? 'Rejected' : 'Not found'),
+            stat.method,
+        ]),
+    ]);
+    if (stats.length > MAX_PRODUCT_ROWS_SHOWN) {
+        logToScreen(`Results panel shows the first ${MAX_PRODUCT_ROWS_SHOWN} of ${stats.length} products.`);
+    }
+
+    downloadUnmatchedBtn.disabled = unmatched.length === 0;
+}
+
+/**
+ * Shows the custom questions cells the scan could not parse or had to repair.
+ * @param {Object[]} issues - From describeCellIssue.
+ */
+function renderValidationReport(issues) {
+    lastAnswerIssues = issues;
+    validationTable.closest('.input-group').classList.toggle('hidden', issues.length === 0);
+    if (issues.length === 0) return;
+    CsvTool.renderTable(validationTable, validationReportRows(issues.slice(0, MAX_REPORT_ROWS_SHOWN)));
+    if (issues.length > MAX_REPORT_ROWS_SHOWN) {
+        logToScreen(`Validation report shows the first ${MAX_REPORT_ROWS_SHOWN} of ${issues.length} cells; download it for the full list.`);
+    }
+}
+
+/**
+ * Shows the result of the "Validate against the import format" step, if it ran.
+ * @param {?Object} result - From createImportValidator (null when the step is off).
+ */
+function renderImportValidation(result) {
+    lastImportValidation = result;
+    importValidationTable.closest('.input-group').classList.toggle('hidden', !result);
+    if (!result) return;
+    logImportValidation(result, logToScreen);
+    importValidationSummary.innerHTML = '';
+    [
+        ['Rows with problems', result.invalidRowCount],
+        ['Problems', result.issueCount],
+        ['Missing columns', result.missingColumns.length],
+    ].forEach(([label, value]) => CsvTool.renderStatCard(importValidationSummary, label, value));
+    CsvTool.renderTable(importValidationTable, importColumnSummaryRows(result));
+}
+
+/**
+ * Shows the conflict view: conflicting old IDs, chains and many-to-one merges.
+ * @param {Object} analysis - The result of analyzeMappings.
+ */
+function renderConflictView(analysis) {
+    conflictSummary.innerHTML = '';
+    [
+        ['Conflicting old IDs', analysis.conflicts.length],
+        ['Chained mappings', analysis.chains.length],
+        ['Many-to-one merges', analysis.merges.length],
+        ['Exact duplicates', analysis.duplicates.length],
+    ].forEach(([label, value]) => CsvTool.renderStatCard(conflictSummary, label, value));
+
+    CsvTool.renderTable(conflictsTable, [
+        ['Old Product ID', 'New Product IDs (in file order)', 'Rows'],
+        ...analysis.conflicts.map(({ entries }) => [
+            entries[0].oldId,
+            entries.map(entry => entry.newId).join(' | '),
+            entries.map(entry => entry.row).join(', '),
+        ]),
+    ]);
+    CsvTool.renderTable(chainsTable, [
+        ['Old Product ID', 'Maps To', 'Which Maps To'],
+        ...analysis.chains.map(({ oldId, newId, nextNewId }) => [oldId, newId, nextNewId]),
+    ]);
+    CsvTool.renderTable(mergesTable, [
+        ['New Product ID', 'Old Product IDs'],
+        ...analysis.merges.map(({ newId, oldIds }) => [newId, oldIds.join(', ')]),
+    ]);
+    conflictsTable.closest('.input-group').classList.toggle('hidden', analysis.conflicts.length === 0);
+    chainsTable.closest('.input-group').classList.toggle('hidden', analysis.chains.length === 0);
+    mergesTable.closest('.input-group').classList.toggle('hidden', analysis.merges.length === 0);
+    conflictArea.classList.remove('hidden');
+}
+
+/**
+ * Lists low-confidence matches with an approval checkbox each (unchecked by default).
+ * @param {Array} pending - [oldId, stat] entries awaiting approval.
+ */
+function renderApprovalTable(pending) {
+    CsvTool.renderTable(approvalTable, [
+        ['Approve', 'Old Product ID', 'Suggested New ID', 'Method', 'Details', 'Reviews'],
+        ...pending.map(([oldId, stat]) => ['', oldId, stat.newId, stat.method, stat.detail, stat.reviewCount]),
+    ]);
+    Array.from(approvalTable.tBodies[0].rows).forEach((row, i) => {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = pending[i][0];
+        row.cells[0].appendChild(checkbox);
+    });
+    approvalArea.classList.remove('hidden');
+}
+
+/**
+ * Downloads every unmatched old product ID with its review count and lookup key.
+ */
+function downloadUnmatchedReport() {
+    if (!lastProductStats) return;
+    const rows = [['Old Product ID', 'Review Count', 'Lookup Key']];
+    lastProductStats.forEach((stat, oldId) => {
+        if (!stat.matched) rows.push([oldId, stat.reviewCount, stat.lookupKey]);
+    });
+    downloads.downloadCsv(rows, 'unmatched_product_ids.csv');
+}
+
+
+// --- 5. UI & UTILITY FUNCTIONS (Setup, Reset, Logging, etc.) ---
+
+/**
+ * Builds a toggle for every step in REMAPPER_STEPS.
+ */
+function renderStepsList() {
+    stepsList.innerHTML = '';
+    REMAPPER_STEPS.forEach(step => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = step.id;
+        label.append(checkbox, ` ${step.label}`);
+        stepsList.appendChild(label);
+    });
+}
+
+/**
+ * @returns {string[]} IDs of the steps currently switched on.
+ */
+function getEnabledSteps() {
+    return Array.from(stepsList.querySelectorAll('input[type="checkbox"]:checked')).map(checkbox => checkbox.value);
+}
+
+/**
+ * Reads the user's saved presets from localStorage.
+ */
+function loadCustomPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function populatePresetSelect(selectedId) {
+    presetSelect.innerHTML = '';
+    Object.entries({ ...BUILT_IN_PRESETS, ...loadCustomPresets() }).forEach(([id, preset]) => {
+        presetSelect.add(new Option(preset.label, id));
+    });
+    presetSelect.value = selectedId;
+}
+
+/**
+ * Switches steps, rename rules and (if a reviews file is loaded) dropped columns to a preset.
+ */
+function applyPreset(id) {
+    const preset = { ...BUILT_IN_PRESETS, ...loadCustomPresets() }[id];
+    if (!preset) return;
+    stepsList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.checked = preset.steps.includes(checkbox.value);
+    });
+    renameRulesInput.value = preset.renameRules || '';
+    if (reviewsHeader) populateDropColumnsList(reviewsHeader, preset.droppedHeaders);
+    deletePresetBtn.disabled = id in BUILT_IN_PRESETS;
+    checkEnableProcessButton();
+}
+
+/**
+ * Saves the current steps, rename rules and dropped columns under a new name.
+ */
+function saveCurrentPreset() {
+    const name = (prompt('Name for this preset:') || '').trim();
+    if (!name) return;
+
+    const droppedHeaders = reviewsHeader
+        ? Array.from(dropColumnsList.querySelectorAll('input[type="checkbox"]:checked')).map(checkbox => reviewsHeader[checkbox.value])
+        : ({ ...BUILT_IN_PRESETS, ...loadCustomPresets() }[presetSelect.value] || {}).droppedHeaders;
+    const id = `custom:${name}`;
+    const presets = loadCustomPresets();
+    presets[id] = { label: name, steps: getEnabledSteps(), renameRules: renameRulesInput.value, droppedHeaders };
+    localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+    populatePresetSelect(id);
+    deletePresetBtn.disabled = false;
+}
+
+function deleteCurrentPreset() {
+    const id = presetSelect.value;
+    if (id in BUILT_IN_PRESETS || !confirm(`Delete the preset "${presetSelect.selectedOptions[0].text}"?`)) return;
+    const presets = loadCustomPresets();
+    delete presets[id];
+    localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+    populatePresetSelect('default');
+    applyPreset('default');
+}
+
+function setupUIForJob(label) {
+    processBtn.textContent = 'Cancel';
+    processBtn.classList.add('btn-danger');
+    processBtn.disabled = false;
+    progressArea.classList.remove('hidden');
+    progressBar.style.width = '0%';
+    progressText.textContent = `${label}: 0 rows (0%)`;
+    etrText.textContent = 'Est. time remaining: N/A';
+}
+
+function updateProgressUI(label, fraction, rows, startTime) {
+    const percentage = fraction * 100;
+    progressBar.style.width = `${percentage}%`;
+    progressText.textContent = `${label}: ${rows} rows (${Math.round(percentage)}%)`;
+    const elapsedTime = Date.now() - startTime;
+    const etrMs = fraction > 0 ? elapsedTime * (1 - fraction) / fraction : NaN;
+    etrText.textContent = `Est. time remaining: ${formatTime(etrMs)}`;
+}
+
+function resetUIAfterJob() {
+    processBtn.textContent = 'Process Files';
+    processBtn.classList.remove('btn-danger');
+    processBtn.disabled = true;
+    progressArea.classList.add('hidden');
+}
+
+function formatTime(ms) {
+    if (ms < 0 || !isFinite(ms)) return 'N/A';
+    let seconds = Math.round(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    seconds %= 60;
+    return `${minutes > 0 ? `${minutes}m ` : ''}${seconds}s`;
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.ceil(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Converts a zero-based column index to its spreadsheet letter (0 -> A, 26 -> AA).
+ */
+function columnLetter(index) {
+    let letter = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+    }
+    return letter;
+}
+
+/**
+ * Fills a column <select> with the file's headers and pre-selects the detected match.
+ */
+function populateColumnSelect(select, header, spec) {
+    select.innerHTML = '';
+    select.add(new Option(spec.required ? '-- Select column --' : '-- None --', ''));
+    header.forEach((name, index) => select.add(new Option(`${columnLetter(index)}: ${name}`, index)));
+
+    const detected = CsvTool.detectColumn(header, spec.candidates);
+    select.value = detected === -1 ? '' : String(detected);
+    select.classList.toggle('field-error', spec.required && detected === -1);
+
+    if (detected === -1 && spec.required) {
+        logToScreen(`Warning: Could not detect the "${spec.label}" column. Please select it manually.`, true);
+    } else if (detected !== -1) {
+        logToScreen(`Detected "${spec.label}" column: ${columnLetter(detected)} (${header[detected]}).`);
+    }
+}
+
+/**
+ * Builds the "columns to remove" checklist, pre-checking the given (or default) dropped headers.
+ */
+function populateDropColumnsList(header, droppedHeaders = DEFAULT_DROPPED_HEADERS) {
+    const defaults = new Set(droppedHeaders.map(CsvTool.normalizeHeader));
+    dropColumnsList.innerHTML = '';
+    header.forEach((name, index) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = index;
+        checkbox.checked = defaults.has(CsvTool.normalizeHeader(name));
+        label.append(checkbox, ` ${columnLetter(index)}: ${name}`);
+        dropColumnsList.appendChild(label);
+    });
+}
+
+function startOver() {
+    if (activeJob) activeJob.cancel();
+    remappingData = remappingHeader = reviewsFile = reviewsHeader = lastProductStats = pendingRun = null;
+    lastAnswerIssues = [];
+    lastImportValidation = null;
+    CsvTool.resetDropZone(remappingZone);
+    CsvTool.resetDropZone(reviewsZone);
+    downloads.revoke();
+    logger.clear();
+    processBtn.disabled = true;
+    processBtn.classList.remove('hidden');
+    logContainer.classList.add('hidden');
+    downloadArea.classList.add('hidden');
+    resultsArea.classList.add('hidden');
+    approvalArea.classList.add('hidden');
+    conflictArea.classList.add('hidden');
+    progressArea.classList.add('hidden');
+    columnMappingArea.classList.add('hidden');
+    [oldIdColumnSelect, newIdColumnSelect, productIdColumnSelect, customQuestionsColumnSelect].forEach(select => {
+        select.innerHTML = '';
+        select.classList.remove('field-error');
+    });
+    dropColumnsList.innerHTML = '';
+}
+
+/**
+ * Loads an uploaded file and fills the column picker from its header.
+ * The mapping file is parsed whole; of the reviews file only the header is read
+ * here, the rows are streamed by the worker when processing.
+ * @param {File} file - The CSV file.
+ * @param {string} type - 'remapping' or 'reviews'.
+ */
+async function handleFile(file, type) {
+    const zone = (type === 'remapping') ? remappingZone : reviewsZone;
+    logger.clear();
+    logContainer.classList.remove('hidden');
+    logToScreen(`Parsing ${file.name}...`);
+
+    try {
+        if (type === 'remapping') {
+            const results = await CsvTool.parseCsv(file, {
+                header: false,
+                onProgress: (fraction) => { zone.fileName.textContent = `${file.name} (${Math.round(fraction * 100)}%)`; },
+            });
+            zone.fileName.textContent = file.name;
+            remappingHeader = results.data.shift() || [];
+            remappingData = results.data;
+            logToScreen(`✅ Loaded ${remappingData.length} mapping rows.`);
+            populateColumnSelect(oldIdColumnSelect, remappingHeader, MAPPING_COLUMNS.oldId);
+            populateColumnSelect(newIdColumnSelect, remappingHeader, MAPPING_COLUMNS.newId);
+        } else {
+            const results = await CsvTool.parseCsv(file, { header: false, preview: 1 });
+            reviewsHeader = results.data[0] || [];
+            reviewsFile = file;
+            logToScreen(`✅ Loaded reviews file header (${reviewsHeader.length} columns, ${formatFileSize(file.size)}). Reviews are read when processing.`);
+            populateColumnSelect(productIdColumnSelect, reviewsHeader, REVIEW_COLUMNS.productId);
+            populateColumnSelect(customQuestionsColumnSelect, reviewsHeader, REVIEW_COLUMNS.customQuestions);
+            const preset = { ...BUILT_IN_PRESETS, ...loadCustomPresets() }[presetSelect.value];
+            populateDropColumnsList(reviewsHeader, preset && preset.droppedHeaders);
+        }
+        columnMappingArea.classList.remove('hidden');
+        checkEnableProcessButton();
+    } catch (error) {
+        logToScreen(`CSV Parsing Error: ${error.message}`, true);
+    }
+}
+
+function checkEnableProcessButton() {
+    const remapEnabled = getEnabledSteps().includes('remapIds');
+    const ready = Boolean(reviewsFile && (remappingData || !remapEnabled));
+    if (ready && processBtn.disabled) {
+        logToScreen(remapEnabled ? "Both files loaded. Ready to process." : "Reviews file loaded. Ready to process.");
+    }
+    processBtn.disabled = !ready;
+}
@@ -0,0 +1,70 @@
+/**
+ * Stool - Review Import Validator
+ * Checks a review CSV against REVIEW_IMPORT_SCHEMA (import-validator.js) and reports
+ * every problem per row and per column. The downloadable report lists one problem per line.
+ * The Review Remapper and Custom Question Parser can run the same check on their output.
+ */
+
+// --- 1. CONFIGURATION ---
+const MAX_ISSUES_SHOWN = 200;
+const schemaTable = document.getElementById('schemaTable');
+const resultsArea = document.getElementById('resultsArea');
+const validationSummary = document.getElementById('validationSummary');
+const columnTable = document.getElementById('columnTable');
+const issuesArea = document.getElementById('issuesArea');
+const issuesText = document.getElementById('issuesText');
+const issuesTable = document.getElementById('issuesTable');
+
+// --- 2. SETUP ---
+// File handling, logging, processing and download are provided by csv-tool.js.
+const tool = CsvTool.createSingleFileTool({
+    parseOptions: { header: false },
+    transform: validateFile,
+    onReset: () => {
+        resultsArea.classList.add('hidden');
+        validationSummary.innerHTML = '';
+    },
+});
+const logToScreen = tool.logger.log;
+
+// --- 3. CORE FUNCTIONS ---
+
+/**
+ * Validates the parsed file and shows the results.
+ * @param {{data: Array[]}} results - The parsed CSV, header row first.
+ * @returns {Array[]} The report rows.
+ */
+function validateFile({ data }) {
+    if (data.length === 0) throw new Error('The file is empty.');
+    const [header, ...rows] = data;
+    const result = validateImportRows(header, rows);
+    logImportValidation(result, logToScreen);
+    renderResults(result);
+    return importReportRows(result);
+}
+
+// --- 4. UI FUNCTIONS ---
+
+function renderResults(result) {
+    validationSummary.innerHTML = '';
+    CsvTool.renderStatCard(validationSummary, 'Rows', result.rowCount);
+    CsvTool.renderStatCard(validationSummary, 'Rows with Problems', result.invalidRowCount);
+    CsvTool.renderStatCard(validationSummary, 'Problems', result.issueCount);
+    CsvTool.renderStatCard(validationSummary, 'Missing Columns', result.missingColumns.length);
+    CsvTool.renderTable(columnTable, importColumnSummaryRows(result));
+
+    const reportRows = importReportRows(result);
+    const problemCount = result.missingColumns.length + result.issueCount;
+    issuesArea.classList.toggle('hidden', problemCount === 0);
+    CsvTool.renderTable(issuesTable, reportRows.slice(0, MAX_ISSUES_SHOWN + 1));
+    issuesText.textContent = problemCount > MAX_ISSUES_SHOWN
+        ? `Showing the first ${MAX_ISSUES_SHOWN} of ${problemCount} problems; download the report for the full list.`
+        : 'Row numbers count the header as row 1, as in a spreadsheet.';
+    resultsArea.classList.remove('hidden');
+}
+
+// --- 5. INITIALIZATION ---
+CsvTool.renderTable(schemaTable, [
+    ['Column', 'Also Accepted', 'Rule'],
+    ...REVIEW_IMPORT_SCHEMA.columns.map(column => [column.name, (column.aliases || []).join(', '), describeImportRule(column)]),
+]);
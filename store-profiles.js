@@ -0,0 +1,280 @@
+/**
+ * Stool - Store Profiles
+ * Named store credentials (label, environment, App Key, Secret Key) for the API-based
+ * tools, so keys don't have to be retyped for every run. Profiles are kept in
+ * localStorage encrypted with AES-GCM, under a key derived from the user's passphrase
+ * (PBKDF2); the passphrase and the decrypted profiles only ever live in memory.
+ * A page adds the standard profile markup and calls setupPicker (see there).
+ */
+const StoreProfiles = (() => {
+
+    const STORAGE_KEY = 'stool.storeProfiles';
+    const PBKDF2_ITERATIONS = 250000;
+    const ENVIRONMENTS = {
+        staging: 'Staging',
+        production: 'Production',
+    };
+
+    let cryptoKey = null; // Derived from the passphrase on unlock; forgotten on lock
+    let salt = null;
+    let profiles = null; // Decrypted profiles while unlocked
+
+    const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+    async function deriveKey(passphrase, saltBytes, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: saltBytes, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    function readVault() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    async function persist() {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, cryptoKey, new TextEncoder().encode(JSON.stringify(profiles)));
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({
+            version: 1,
+            salt: toBase64(salt),
+            iterations: PBKDF2_ITERATIONS,
+            iv: toBase64(iv),
+            data: toBase64(data),
+        }));
+    }
+
+    function hasVault() {
+        return readVault() !== null;
+    }
+
+    /**
+     * Opens the saved profiles with a passphrase, or starts an empty vault protected
+     * by it if none has been saved yet.
+     * @returns {Promise<Object[]>} The profiles.
+     * @throws {Error} If the passphrase is empty or wrong.
+     */
+    async function unlock(passphrase) {
+        if (!passphrase) throw new Error('Please enter a passphrase.');
+        const vault = readVault();
+        if (!vault) {
+            salt = crypto.getRandomValues(new Uint8Array(16));
+            cryptoKey = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+            profiles = [];
+            return profiles;
+        }
+
+        const vaultSalt = fromBase64(vault.salt);
+        const key = await deriveKey(passphrase, vaultSalt, vault.iterations);
+        let plain;
+        try {
+            plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(vault.iv) }, key, fromBase64(vault.data));
+        } catch (e) {
+            throw new Error('Wrong passphrase.');
+        }
+        salt = vaultSalt;
+        cryptoKey = key;
+        profiles = JSON.parse(new TextDecoder().decode(plain));
+        return profiles;
+    }
+
+    function lock() {
+        cryptoKey = null;
+        salt = null;
+        profiles = null;
+    }
+
+    function isUnlocked() {
+        return profiles !== null;
+    }
+
+    function listProfiles() {
+        return profiles ? [...profiles] : [];
+    }
+
+    /**
+     * Adds a profile, or replaces the one with the same label.
+     * @param {{label: string, environment: string, appKey: string, secretKey: string}} profile
+     * @returns {Promise<Object>} The saved profile, with its id.
+     */
+    async function saveProfile(profile) {
+        if (!isUnlocked()) throw new Error('Unlock the store profiles first.');
+        const existing = profiles.find(p => p.label.toLowerCase() === profile.label.toLowerCase());
+        const saved = { ...profile, id: existing ? existing.id : `profile-${Date.now()}` };
+        profiles = existing ? profiles.map(p => (p === existing ? saved : p)) : [...profiles, saved];
+        await persist();
+        return saved;
+    }
+
+    async function deleteProfile(id) {
+        if (!isUnlocked()) throw new Error('Unlock the store profiles first.');
+        profiles = profiles.filter(p => p.id !== id);
+        await persist();
+    }
+
+    /**
+     * Deletes every saved profile, e.g. after a forgotten passphrase.
+     */
+    function resetVault() {
+        localStorage.removeItem(STORAGE_KEY);
+        lock();
+    }
+
+    /**
+     * Wires up the profile picker of a page. The page must use the usual element IDs:
+     * profileLocked (profilePassphrase, profileUnlockBtn, profileResetBtn), profileUnlocked
+     * (profileSelect, profileLabelInput, profileEnvSelect, profileSaveBtn, profileDeleteBtn,
+     * profileLockBtn) and productionBanner.
+     * @param {Object} config
+     * @param {HTMLInputElement} config.appKeyInput - Filled in when a profile is picked.
+     * @param {HTMLInputElement} config.secretKeyInput - Filled in when a profile is picked.
+     * @param {function(?Object): void} [config.onSelect] - Called with the picked profile, or null.
+     * @returns {{selected: function(): ?Object, apply: function(): void, setDisabled: function(boolean): void}}
+     *   apply refills the credentials from the picked profile (e.g. after Start Over).
+     */
+    function setupPicker(config) {
+        const el = (id) => document.getElementById(id);
+        const lockedArea = el('profileLocked');
+        const unlockedArea = el('profileUnlocked');
+        const passphraseInput = el('profilePassphrase');
+        const unlockBtn = el('profileUnlockBtn');
+        const resetBtn = el('profileResetBtn');
+        const select = el('profileSelect');
+        const labelInput = el('profileLabelInput');
+        const envSelect = el('profileEnvSelect');
+        const saveBtn = el('profileSaveBtn');
+        const deleteBtn = el('profileDeleteBtn');
+        const lockBtn = el('profileLockBtn');
+        const banner = el('productionBanner');
+        const { appKeyInput, secretKeyInput, onSelect = () => {} } = config;
+
+        const selected = () => listProfiles().find(p => p.id === select.value) || null;
+
+        const showBanner = () => {
+            const profile = selected();
+            const production = profile !== null && profile.environment === 'production';
+            banner.textContent = production ? `⚠️ PRODUCTION STORE: ${profile.label}. Every action affects live store data.` : '';
+            banner.classList.toggle('hidden', !production);
+        };
+
+        const render = () => {
+            const unlocked = isUnlocked();
+            lockedArea.classList.toggle('hidden', unlocked);
+            unlockedArea.classList.toggle('hidden', !unlocked);
+            unlockBtn.textContent = hasVault() ? 'Unlock Profiles' : 'Create Profile Vault';
+            resetBtn.classList.toggle('hidden', !hasVault());
+
+            const current = select.value;
+            select.innerHTML = '';
+            select.add(new Option('-- No profile (enter keys below) --', ''));
+            listProfiles().forEach(p => select.add(new Option(`${p.label} [${ENVIRONMENTS[p.environment] || p.environment}]`, p.id)));
+            select.value = listProfiles().some(p => p.id === current) ? current : '';
+            deleteBtn.disabled = !select.value;
+            showBanner();
+        };
+
+        const apply = () => {
+            const profile = selected();
+            if (profile) {
+                appKeyInput.value = profile.appKey;
+                secretKeyInput.value = profile.secretKey;
+                labelInput.value = profile.label;
+                envSelect.value = profile.environment;
+            }
+            deleteBtn.disabled = !profile;
+            showBanner();
+            onSelect(profile);
+        };
+
+        unlockBtn.addEventListener('click', async () => {
+            unlockBtn.disabled = true;
+            try {
+                await unlock(passphraseInput.value);
+                passphraseInput.value = '';
+                render();
+            } catch (error) {
+                alert(error.message);
+            } finally {
+                unlockBtn.disabled = false;
+            }
+        });
+        passphraseInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') unlockBtn.click();
+        });
+        resetBtn.addEventListener('click', () => {
+            if (!confirm('Delete all saved store profiles? This cannot be undone.')) return;
+            resetVault();
+            render();
+        });
+        select.addEventListener('change', apply);
+        saveBtn.addEventListener('click', async () => {
+            const label = labelInput.value.trim();
+            const appKey = appKeyInput.value.trim();
+            const secretKey = secretKeyInput.value.trim();
+            if (!label) return alert('Please give the profile a label.');
+            if (!appKey || !secretKey) return alert('Please enter the App Key and Secret Key to save.');
+            try {
+                const saved = await saveProfile({ label, environment: envSelect.value, appKey, secretKey });
+                render();
+                select.value = saved.id;
+                apply();
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+        deleteBtn.addEventListener('click', async () => {
+            const profile = selected();
+            if (!profile || !confirm(`Delete the profile "${profile.label}"?`)) return;
+            await deleteProfile(profile.id);
+            select.value = '';
+            render();
+            onSelect(null);
+        });
+        lockBtn.addEventListener('click', () => {
+            lock();
+            select.value = '';
+            render();
+            onSelect(null);
+        });
+        // Editing the keys by hand detaches them from the profile (and its environment)
+        appKeyInput.addEventListener('input', () => {
+            const profile = selected();
+            if (profile && appKeyInput.value.trim() !== profile.appKey) {
+                select.value = '';
+                apply();
+            }
+        });
+
+        render();
+        return {
+            selected,
+            apply,
+            setDisabled: (disabled) => {
+                [select, saveBtn, lockBtn].forEach(control => { control.disabled = disabled; });
+                deleteBtn.disabled = disabled || !selected();
+            },
+        };
+    }
+
+    return {
+        ENVIRONMENTS,
+        hasVault,
+        unlock,
+        lock,
+        isUnlocked,
+        listProfiles,
+        saveProfile,
+        deleteProfile,
+        resetVault,
+        setupPicker,
+    };
+})();
@@ -0,0 +1,150 @@
+/**
+ * Stool - Test Data Generator
+ * Builds synthetic order or review import files from fake-data.js, so imports can
+ * be tested without real customer data. Everything is derived from the seed and the
+ * settings; the page shows the seed, and the settings default to fixed values (the
+ * latest date included), so a dataset can be regenerated exactly.
+ */
+
+// --- 1. ELEMENT REFERENCES ---
+const templateSelect = document.getElementById('templateSelect');
+const recordCountInput = document.getElementById('recordCount');
+const seedInput = document.getElementById('seedInput');
+const newSeedBtn = document.getElementById('newSeedBtn');
+const endDateInput = document.getElementById('endDateInput');
+const daysBackInput = document.getElementById('daysBackInput');
+const productCountInput = document.getElementById('productCountInput');
+const orderIdPrefixInput = document.getElementById('orderIdPrefixInput');
+const emailVariantsList = document.getElementById('emailVariantsList');
+const invalidRateInput = document.getElementById('invalidRateInput');
+const generateBtn = document.getElementById('generateBtn');
+const startOverBtn = document.getElementById('startOverBtn');
+const previewArea = document.getElementById('previewArea');
+const generateSummary = document.getElementById('generateSummary');
+const previewText = document.getElementById('previewText');
+const previewTable = document.getElementById('previewTable');
+const downloadArea = document.getElementById('downloadArea');
+const downloadLink = document.getElementById('downloadLink');
+const downloadFileNameInput = document.getElementById('downloadFileName');
+
+// How many generated rows the preview table shows.
+const PREVIEW_ROW_COUNT = 10;
+
+const downloads = CsvTool.createDownloadManager(downloadLink);
+
+// --- 2. EVENT LISTENERS ---
+generateBtn.addEventListener('click', generateTestData);
+startOverBtn.addEventListener('click', resetUI);
+newSeedBtn.addEventListener('click', () => { seedInput.value = randomSeed(); });
+templateSelect.addEventListener('change', () => {
+    orderIdPrefixInput.disabled = templateSelect.value !== 'orders';
+    downloadFileNameInput.value = `test_${templateSelect.value}.csv`;
+    downloadLink.download = downloadFileNameInput.value;
+});
+CsvTool.bindFileNameInput(downloadFileNameInput, downloadLink);
+
+// --- 3. CORE FUNCTIONS ---
+
+/**
+ * Generates the records with the current settings and offers them for download.
+ */
+function generateTestData() {
+    let options;
+    try {
+        options = readOptions();
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+
+    let rows;
+    try {
+        rows = generateRecords(templateSelect.value, seedInput.value.trim(), options);
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+
+    generateSummary.innerHTML = '';
+    CsvTool.renderStatCard(generateSummary, templateSelect.value === 'orders' ? 'Orders' : 'Reviews', options.count);
+    CsvTool.renderStatCard(generateSummary, 'CSV Rows', rows.length - 1);
+    CsvTool.renderStatCard(generateSummary, 'Seed', seedInput.value.trim());
+    previewText.textContent = rows.length - 1 > PREVIEW_ROW_COUNT ? `Showing the first ${PREVIEW_ROW_COUNT} rows.` : '';
+    CsvTool.renderTable(previewTable, rows.slice(0, PREVIEW_ROW_COUNT + 1));
+    previewArea.classList.remove('hidden');
+
+    downloads.setCsv(rows);
+    downloadArea.classList.remove('hidden');
+}
+
+/**
+ * Reads and checks the settings.
+ * @returns {Object} Options for generateRecords.
+ * @throws {Error} If a setting is missing or out of range.
+ */
+function readOptions() {
+    const count = parseInt(recordCountInput.value, 10);
+    const daysBack = parseInt(daysBackInput.value, 10);
+    const productCount = parseInt(productCountInput.value, 10);
+    const invalidPercent = parseFloat(invalidRateInput.value || '0');
+
+    if (!seedInput.value.trim()) throw new Error('Please enter a seed, or click "New Seed".');
+    if (isNaN(count) || count <= 0 || count > 100000) throw new Error('Please enter a number of records between 1 and 100000.');
+    if (!endDateInput.value) throw new Error('Please choose the latest date.');
+    if (isNaN(daysBack) || daysBack < 0) throw new Error('Please enter a valid number of days to spread the dates over.');
+    if (isNaN(productCount) || productCount <= 0 || productCount > 10000) throw new Error('Please enter a number of products between 1 and 10000.');
+    if (isNaN(invalidPercent) || invalidPercent < 0 || invalidPercent > 100) throw new Error('Please enter an invalid email percentage between 0 and 100.');
+
+    return {
+        count,
+        endDate: endDateInput.value,
+        daysBack,
+        productCount,
+        orderIdPrefix: orderIdPrefixInput.value.trim(),
+        emailVariants: Array.from(emailVariantsList.querySelectorAll('input[type="checkbox"]:checked')).map(checkbox => checkbox.value),
+        invalidEmailRate: invalidPercent / 100,
+    };
+}
+
+// --- 4. UI HELPER FUNCTIONS ---
+
+function renderEmailVariants() {
+    emailVariantsList.innerHTML = '';
+    Object.entries(EMAIL_VARIANTS).forEach(([variant, label]) => {
+        const item = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = variant;
+        checkbox.checked = DEFAULT_FAKE_DATA_OPTIONS.emailVariants.includes(variant);
+        item.append(checkbox, ` ${label}`);
+        emailVariantsList.appendChild(item);
+    });
+}
+
+/**
+ * Restores the default settings with a fresh seed.
+ */
+function resetUI() {
+    templateSelect.value = 'orders';
+    recordCountInput.value = DEFAULT_FAKE_DATA_OPTIONS.count;
+    seedInput.value = randomSeed();
+    endDateInput.value = DEFAULT_FAKE_DATA_OPTIONS.endDate;
+    daysBackInput.value = DEFAULT_FAKE_DATA_OPTIONS.daysBack;
+    productCountInput.value = DEFAULT_FAKE_DATA_OPTIONS.productCount;
+    orderIdPrefixInput.value = DEFAULT_FAKE_DATA_OPTIONS.orderIdPrefix;
+    orderIdPrefixInput.disabled = false;
+    invalidRateInput.value = DEFAULT_FAKE_DATA_OPTIONS.invalidEmailRate * 100;
+    renderEmailVariants();
+
+    previewArea.classList.add('hidden');
+    generateSummary.innerHTML = '';
+    previewTable.innerHTML = '';
+    downloadArea.classList.add('hidden');
+    downloads.revoke();
+    downloadFileNameInput.value = 'test_orders.csv';
+    downloadLink.download = 'test_orders.csv';
+}
+
+// --- 5. INITIALIZATION ---
+Object.entries(FAKE_DATA_TEMPLATES).forEach(([key, template]) => templateSelect.add(new Option(template.label, key)));
+resetUI();
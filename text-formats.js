@@ -0,0 +1,166 @@
+/**
+ * Stool - Text Formats
+ * Joins a list of values into one line for SQL, JSON, JavaScript, CSV or Python,
+ * escaping quotes the way each of them expects, and splits such a line back into
+ * values. Values can be deduplicated, sorted, re-cased and chunked into groups.
+ * This file has no DOM access.
+ */
+
+/**
+ * Output presets. Each formats one group of values; "custom" uses the quote,
+ * separator and escaping chosen on the page.
+ */
+const JOIN_PRESETS = {
+    custom: { label: 'Custom quote and separator', format: (items, options) => items.map(item => quoteValue(item, options.quote, options.escape)).join(options.separator) },
+    sqlIn: { label: "SQL IN clause: IN ('a', 'O''Brien')", format: (items) => `IN (${items.map(item => quoteValue(item, "'", 'double')).join(', ')})` },
+    jsonArray: { label: 'JSON array: ["a", "b"]', format: (items) => JSON.stringify(items) },
+    jsArray: { label: "JavaScript array: ['a', 'b']", format: (items) => `[${items.map(item => quoteValue(item, "'", 'backslash')).join(', ')}]` },
+    csvRow: { label: 'CSV row: a,"b, c"', format: (items) => items.map(csvCell).join(',') },
+    pythonList: { label: "Python list: ['a', 'b']", format: (items) => `[${items.map(item => quoteValue(item, "'", 'backslash')).join(', ')}]` },
+};
+
+// How a quote inside a value is escaped by the custom preset.
+const QUOTE_ESCAPES = {
+    double: 'Double it (O\'\'Brien, SQL and CSV style)',
+    backslash: 'Backslash (O\\\'Brien, JavaScript and Python style)',
+    none: 'Leave as is',
+};
+
+// Control characters written as backslash escapes by the backslash style.
+const BACKSLASH_ESCAPES = { '\\': '\\\\', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
+/**
+ * Wraps a value in quotes, escaping the quote (and, in backslash style, backslashes
+ * and line breaks) inside it.
+ * @param {string} value
+ * @param {string} quote - The quote character, or '' for none.
+ * @param {string} escape - A key of QUOTE_ESCAPES.
+ */
+function quoteValue(value, quote, escape) {
+    if (!quote || escape === 'none') return `${quote}${value}${quote}`;
+    if (escape === 'backslash') {
+        const escaped = value.replace(/[\\\n\r\t]/g, char => BACKSLASH_ESCAPES[char]).split(quote).join(`\\${quote}`);
+        return `${quote}${escaped}${quote}`;
+    }
+    return `${quote}${value.split(quote).join(quote + quote)}${quote}`;
+}
+
+/**
+ * Quotes a CSV cell only when it needs it (RFC 4180).
+ */
+function csvCell(value) {
+    return /[",\r\n]/.test(value) || value !== value.trim() ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Cleans and orders the values before joining.
+ * @param {string[]} lines - The raw lines. Blank lines are dropped and the rest trimmed.
+ * @param {Object} [options]
+ * @param {boolean} [options.dedupe] - Keep only the first of identical values.
+ * @param {string} [options.sort] - 'asc' or 'desc' (numbers inside values compare numerically), or none.
+ * @param {string} [options.letterCase] - 'lower' or 'upper', or none.
+ * @returns {string[]}
+ */
+function prepareItems(lines, options = {}) {
+    let items = lines.map(line => line.trim()).filter(line => line !== '');
+    if (options.letterCase === 'lower') items = items.map(item => item.toLowerCase());
+    if (options.letterCase === 'upper') items = items.map(item => item.toUpperCase());
+    if (options.dedupe) items = Array.from(new Set(items));
+    if (options.sort === 'asc' || options.sort === 'desc') {
+        const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+        items.sort(collator.compare);
+        if (options.sort === 'desc') items.reverse();
+    }
+    return items;
+}
+
+/**
+ * Joins values with a preset, in groups of at most chunkSize (e.g. for a query's
+ * parameter limit). Groups are separated by a blank line.
+ * @param {string[]} items
+ * @param {string} preset - A key of JOIN_PRESETS.
+ * @param {Object} [options] - quote, separator and escape for the custom preset; chunkSize (0 for one group).
+ * @returns {string}
+ */
+function joinItems(items, preset, options = {}) {
+    const format = JOIN_PRESETS[preset].format;
+    const size = options.chunkSize > 0 ? options.chunkSize : items.length || 1;
+    const groups = [];
+    for (let i = 0; i < items.length; i += size) groups.push(items.slice(i, i + size));
+    return groups.map(group => format(group, options)).join('\n\n');
+}
+
+/**
+ * Splits a joined line back into values: the reverse of joinItems. A JSON array is
+ * read as JSON; otherwise a surrounding IN (...), (...) or [...] is removed and the
+ * text is split on the delimiter outside quotes, unquoting each value. A quote only
+ * opens a quoted value at the start of a field, so O'Brien stays one value. Inside a
+ * list or IN (...) both ' and " quote; otherwise only ", as in CSV (RFC 4180). Doubled
+ * quotes are undone everywhere; backslash escapes only inside [...] (JavaScript and
+ * Python lists), since SQL and CSV treat a backslash as an ordinary character.
+ * @param {string} text
+ * @param {string} delimiter - E.g. ",", ";" or "\t".
+ * @returns {string[]}
+ */
+function splitText(text, delimiter) {
+    const trimmed = text.trim();
+    if (trimmed === '') return [];
+    if (/^\[[\s\S]*\]$/.test(trimmed)) {
+        try {
+            const parsed = JSON.parse(trimmed);
+            if (Array.isArray(parsed)) return parsed.map(value => (typeof value === 'string' ? value : JSON.stringify(value)));
+        } catch (e) {
+            // Not JSON (e.g. a single-quoted JavaScript or Python list); split it below
+        }
+    }
+    const backslashEscapes = /^\[[\s\S]*\]$/.test(trimmed);
+    const listPattern = /^(?:in\s*)?[([]([\s\S]*)[)\]]$/i;
+    const quoteChars = listPattern.test(trimmed) ? ['"', "'"] : ['"'];
+    const body = trimmed.replace(listPattern, '$1');
+    return splitOutsideQuotes(body, delimiter || ',', quoteChars, backslashEscapes)
+        .map(part => unquoteValue(part, quoteChars, backslashEscapes))
+        .filter(value => value !== '');
+}
+
+function splitOutsideQuotes(text, delimiter, quoteChars, backslashEscapes) {
+    const parts = [];
+    let current = '';
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (backslashEscapes && char === '\\' && i + 1 < text.length) {
+                current += char + text[++i];
+            } else if (char === quote && text[i + 1] === quote) {
+                current += char + char; // A doubled quote inside the value
+                i++;
+            } else {
+                if (char === quote) quote = null;
+                current += char;
+            }
+        } else if (quoteChars.includes(char) && current.trim() === '') {
+            quote = char;
+            current += char;
+        } else if (text.startsWith(delimiter, i)) {
+            parts.push(current);
+            current = '';
+            i += delimiter.length - 1;
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+/**
+ * Removes the quotes around a value and undoes doubled-quote or backslash escaping.
+ */
+function unquoteValue(part, quoteChars, backslashEscapes) {
+    const value = part.trim();
+    const quote = value[0];
+    if (value.length < 2 || !quoteChars.includes(quote) || value[value.length - 1] !== quote) return value;
+    const inner = value.slice(1, -1);
+    if (!backslashEscapes) return inner.split(quote + quote).join(quote);
+    return inner.replace(/\\(.)/g, (match, char) => ({ n: '\n', r: '\r', t: '\t' }[char] || char));
+}
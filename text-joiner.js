@@ -1,55 +1,100 @@
-// --- 1. ELEMENT REFERENCES ---
-const inputText = document.getElementById('inputText');
-const outputText = document.getElementById('outputText');
-const joinBtn = document.getElementById('joinBtn');
-const copyBtn = document.getElementById('copyBtn');
-const clearBtn = document.getElementById('clearBtn');
-const separatorInput = document.getElementById('separator');
-const quoteTypeSelector = document.getElementById('quoteType');
-
-// --- 2. EVENT LISTENERS ---
-joinBtn.addEventListener('click', joinText);
-copyBtn.addEventListener('click', copyToClipboard);
-clearBtn.addEventListener('click', clearFields);
-
-// --- 3. CORE FUNCTIONS ---
-
-/**
- * The main function to process and join the text.
- */
-function joinText() {
-    const quoteType = quoteTypeSelector.value;
-    const separator = separatorInput.value;
-
-    const lines = inputText.value.split('\n')
-        .map(line => line.trim())
-        .filter(line => line !== '');
-
-    const processedLines = lines.map(line => `${quoteType}${line}${quoteType}`);
-    const result = processedLines.join(separator);
-    outputText.value = result;
-}
-
-/**
- * Copies the result to the user's clipboard.
- */
-async function copyToClipboard() {
-    if (!outputText.value) return;
-    try {
-        await navigator.clipboard.writeText(outputText.value);
-        const originalText = copyBtn.textContent;
-        copyBtn.textContent = 'Copied!';
-        setTimeout(() => { copyBtn.textContent = originalText; }, 1500);
-    } catch (err) {
-        console.error('Failed to copy text: ', err);
-        alert('Failed to copy text.');
-    }
-}
-
-/**
- * Clears both input and output textareas.
- */
-function clearFields() {
-    inputText.value = '';
-    outputText.value = '';
-}
\ No newline at end of file
+// --- 1. ELEMENT REFERENCES ---
+const inputText = document.getElementById('inputText');
+const outputText = document.getElementById('outputText');
+const joinBtn = document.getElementById('joinBtn');
+const copyBtn = document.getElementById('copyBtn');
+const clearBtn = document.getElementById('clearBtn');
+const separatorInput = document.getElementById('separator');
+const quoteTypeSelector = document.getElementById('quoteType');
+const modeSelect = document.getElementById('modeSelect');
+const joinOptions = document.getElementById('joinOptions');
+const splitOptions = document.getElementById('splitOptions');
+const presetSelect = document.getElementById('presetSelect');
+const customOptions = document.getElementById('customOptions');
+const escapeSelect = document.getElementById('escapeSelect');
+const sortSelect = document.getElementById('sortSelect');
+const caseSelect = document.getElementById('caseSelect');
+const chunkSizeInput = document.getElementById('chunkSizeInput');
+const dedupeCheckbox = document.getElementById('dedupeCheckbox');
+const delimiterInput = document.getElementById('delimiterInput');
+
+// --- 2. EVENT LISTENERS ---
+joinBtn.addEventListener('click', () => (modeSelect.value === 'split' ? splitTextToLines() : joinText()));
+copyBtn.addEventListener('click', copyToClipboard);
+clearBtn.addEventListener('click', clearFields);
+modeSelect.addEventListener('change', showModeOptions);
+presetSelect.addEventListener('change', () => {
+    customOptions.classList.toggle('hidden', presetSelect.value !== 'custom');
+});
+
+// --- 3. CORE FUNCTIONS ---
+
+/**
+ * The main function to process and join the text.
+ */
+function joinText() {
+    const chunkSize = chunkSizeInput.value === '' ? 0 : parseInt(chunkSizeInput.value, 10);
+    if (isNaN(chunkSize) || chunkSize < 0) {
+        alert('Please enter a valid number of items per group, or leave it empty.');
+        return;
+    }
+
+    const items = prepareItems(inputText.value.split('\n'), {
+        dedupe: dedupeCheckbox.checked,
+        sort: sortSelect.value,
+        letterCase: caseSelect.value,
+    });
+    outputText.value = joinItems(items, presetSelect.value, {
+        quote: quoteTypeSelector.value,
+        separator: separatorInput.value,
+        escape: escapeSelect.value,
+        chunkSize,
+    });
+}
+
+/**
+ * Splits the delimited input back into one item per line.
+ */
+function splitTextToLines() {
+    const delimiter = delimiterInput.value.replace(/\\t/g, '\t').replace(/\\n/g, '\n');
+    if (!delimiter) {
+        alert('Please enter a delimiter.');
+        return;
+    }
+    outputText.value = splitText(inputText.value, delimiter).join('\n');
+}
+
+/**
+ * Copies the result to the user's clipboard.
+ */
+async function copyToClipboard() {
+    if (!outputText.value) return;
+    try {
+        await navigator.clipboard.writeText(outputText.value);
+        const originalText = copyBtn.textContent;
+        copyBtn.textContent = 'Copied!';
+        setTimeout(() => { copyBtn.textContent = originalText; }, 1500);
+    } catch (err) {
+        alert('Failed to copy text.');
+    }
+}
+
+/**
+ * Clears both input and output textareas.
+ */
+function clearFields() {
+    inputText.value = '';
+    outputText.value = '';
+}
+
+function showModeOptions() {
+    const splitting = modeSelect.value === 'split';
+    joinOptions.classList.toggle('hidden', splitting);
+    splitOptions.classList.toggle('hidden', !splitting);
+    joinBtn.textContent = splitting ? 'Split Text' : 'Join Text';
+    inputText.placeholder = splitting ? "IN ('Apple', 'Banana', 'Orange')" : 'Apple\nBanana\nOrange';
+}
+
+// --- 4. INITIALIZATION ---
+Object.entries(JOIN_PRESETS).forEach(([preset, { label }]) => presetSelect.add(new Option(label, preset)));
+Object.entries(QUOTE_ESCAPES).forEach(([escape, label]) => escapeSelect.add(new Option(label, escape)));